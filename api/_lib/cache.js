@@ -0,0 +1,221 @@
+/* Response cache for the iTunes proxy routes
+   - Keys built from normalised query parameters
+   - Pluggable stores: in-memory (default), file, or KV over REST
+   - Cache-Control / ETag headers for browsers and CDNs, X-Cache for debugging
+
+   Configuration (environment variables):
+     ITUNES_CACHE_TTL          Seconds a response is kept (default 3600, 0 disables)
+     ITUNES_CACHE_BROWSER_TTL  max-age sent to browsers (default 300)
+     ITUNES_CACHE_STORE        memory | file | kv (default memory)
+     ITUNES_CACHE_MAX_ENTRIES  Entry limit for the memory store (default 500)
+     ITUNES_CACHE_DIR          Directory for the file store (default <tmpdir>/itunes-cache)
+     KV_REST_API_URL           REST endpoint for the kv store (Upstash / Vercel KV)
+     KV_REST_API_TOKEN         Bearer token for the kv store
+*/
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const CACHE_TTL = parseInt(process.env.ITUNES_CACHE_TTL || '3600', 10);
+const BROWSER_TTL = parseInt(process.env.ITUNES_CACHE_BROWSER_TTL || '300', 10);
+const MAX_ENTRIES = parseInt(process.env.ITUNES_CACHE_MAX_ENTRIES || '500', 10);
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} body - Serialised JSON response
+ * @property {string} etag - Strong ETag of the body
+ * @property {number} storedAt - Epoch milliseconds when the entry was stored
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<CacheEntry|null>} get
+ * @property {function(string, CacheEntry, number): Promise<void>} set - key, entry, ttl in seconds
+ */
+
+/**
+ * In-memory store; survives between invocations of a warm serverless instance
+ * @param {number} maxEntries - Oldest entries are evicted beyond this count
+ * @returns {CacheStore}
+ */
+export function createMemoryStore(maxEntries) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expires < Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+    async set(key, entry, ttl) {
+      entries.delete(key);
+      entries.set(key, { entry, expires: Date.now() + ttl * 1000 });
+      // Map preserves insertion order, so the first key is the oldest
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * File store; one JSON file per key
+ * @param {string} dir - Cache directory (created on first write)
+ * @returns {CacheStore}
+ */
+export function createFileStore(dir) {
+  const fileFor = key => path.join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  return {
+    async get(key) {
+      try {
+        const item = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        return item.expires >= Date.now() ? item.entry : null;
+      } catch (error) {
+        return null;
+      }
+    },
+    async set(key, entry, ttl) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ entry, expires: Date.now() + ttl * 1000 }));
+    }
+  };
+}
+
+/**
+ * KV store over the Redis-compatible REST API used by Upstash and Vercel KV
+ * @param {string} url - REST endpoint
+ * @param {string} token - Bearer token
+ * @returns {CacheStore}
+ */
+export function createKvStore(url, token) {
+  const headers = { Authorization: `Bearer ${token}` };
+  const keyFor = key => encodeURIComponent(`itunes:${createHash('sha1').update(key).digest('hex')}`);
+  return {
+    async get(key) {
+      const response = await fetch(`${url}/get/${keyFor(key)}`, { headers });
+      if (!response.ok) return null;
+      const { result } = await response.json();
+      return result ? JSON.parse(result) : null;
+    },
+    async set(key, entry, ttl) {
+      await fetch(`${url}/set/${keyFor(key)}?EX=${ttl}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(entry)
+      });
+    }
+  };
+}
+
+/**
+ * Creates the store selected by ITUNES_CACHE_STORE
+ * @returns {CacheStore}
+ */
+function createConfiguredStore() {
+  const kind = (process.env.ITUNES_CACHE_STORE || 'memory').toLowerCase();
+  if (kind === 'file') {
+    return createFileStore(process.env.ITUNES_CACHE_DIR || path.join(os.tmpdir(), 'itunes-cache'));
+  }
+  if (kind === 'kv' && process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    return createKvStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN);
+  }
+  if (kind !== 'memory') {
+    console.warn(`Unknown or unconfigured cache store "${kind}", using memory`);
+  }
+  return createMemoryStore(MAX_ENTRIES);
+}
+
+let store = null;
+
+/**
+ * Returns the shared cache store, creating it on first use
+ * @returns {CacheStore}
+ */
+export function getCacheStore() {
+  if (!store) {
+    store = createConfiguredStore();
+  }
+  return store;
+}
+
+/**
+ * Builds a cache key from a route and its query parameters
+ * Parameter order, empty values and case/whitespace in the search term do not
+ * produce distinct keys, since Apple treats them the same.
+ * @param {string} route - Route name, e.g. 'search' or 'lookup'
+ * @param {URLSearchParams} params - Parameters sent upstream (plus local options)
+ * @returns {string} Cache key
+ */
+export function cacheKey(route, params) {
+  const normalised = [];
+  params.forEach((value, key) => {
+    let v = String(value).trim();
+    if (key === 'term') v = v.replace(/\s+/g, ' ').toLowerCase();
+    if (key === 'country') v = v.toLowerCase();
+    if (v) normalised.push(`${key}=${v}`);
+  });
+  return `${route}?${normalised.sort().join('&')}`;
+}
+
+/**
+ * Serves a JSON response through the cache
+ * Answers conditional requests with 304 and sets Cache-Control, ETag and X-Cache.
+ * Failed loads are not cached; the error propagates to the caller.
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ * @param {string} key - Cache key from cacheKey()
+ * @param {function(): Promise<Object>} load - Produces the response body on a miss
+ */
+export async function sendCached(req, res, key, load) {
+  const cacheStore = CACHE_TTL > 0 ? getCacheStore() : null;
+
+  let entry = null;
+  if (cacheStore) {
+    try {
+      entry = await cacheStore.get(key);
+    } catch (error) {
+      console.error('Cache read failed:', error);
+    }
+  }
+
+  const hit = entry !== null;
+  if (!hit) {
+    const body = JSON.stringify(await load());
+    entry = {
+      body,
+      etag: `"${createHash('sha1').update(body).digest('base64url')}"`,
+      storedAt: Date.now()
+    };
+    if (cacheStore) {
+      try {
+        await cacheStore.set(key, entry, CACHE_TTL);
+      } catch (error) {
+        console.error('Cache write failed:', error);
+      }
+    }
+  }
+
+  res.setHeader('X-Cache', hit ? 'HIT' : 'MISS');
+  res.setHeader('ETag', entry.etag);
+  if (CACHE_TTL > 0) {
+    const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+    res.setHeader('Age', String(age));
+    res.setHeader('Cache-Control', `public, max-age=${Math.min(BROWSER_TTL, CACHE_TTL)}, s-maxage=${CACHE_TTL}, stale-while-revalidate=${CACHE_TTL}`);
+  } else {
+    res.setHeader('Cache-Control', 'no-cache');
+  }
+
+  const ifNoneMatch = String(req.headers['if-none-match'] || '').split(',').map(tag => tag.trim());
+  if (ifNoneMatch.includes(entry.etag) || ifNoneMatch.includes('*')) {
+    res.status(304).end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.status(200).send(entry.body);
+}
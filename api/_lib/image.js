@@ -0,0 +1,208 @@
+/* Shared helpers for the artwork image routes
+   - Allow-listing of Apple's image CDN (*.mzstatic.com)
+   - Upstream image fetches with a header timeout
+   - Pixel dimensions from JPEG, PNG, WebP and TIFF headers
+*/
+
+import { proxyError } from './proxy.js';
+
+// Apple's image CDN; nothing else is fetched
+const ALLOWED_HOST = /(^|\.)mzstatic\.com$/i;
+
+const UPSTREAM_TIMEOUT = parseInt(process.env.ITUNES_UPSTREAM_TIMEOUT || '4000', 10);
+
+/**
+ * Parses and checks an image URL from the query
+ * @param {string|undefined} raw - url query parameter
+ * @returns {URL} https URL on *.mzstatic.com
+ * @throws {Error} INVALID_REQUEST for missing, malformed or foreign URLs
+ */
+export function parseArtworkUrl(raw) {
+  if (!raw || Array.isArray(raw)) {
+    throw proxyError('INVALID_REQUEST', 'url is required and may only be given once');
+  }
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (e) {
+    throw proxyError('INVALID_REQUEST', 'url is not a valid URL');
+  }
+  if (url.protocol !== 'https:' || !ALLOWED_HOST.test(url.hostname) || url.username || url.password || url.port) {
+    throw proxyError('INVALID_REQUEST', 'url must be an https image URL on mzstatic.com');
+  }
+  return url;
+}
+
+/**
+ * Fetches an image from the CDN
+ * The timeout only covers the response headers; the body can keep streaming after it.
+ * @param {URL} url - URL from parseArtworkUrl()
+ * @param {Object} [headers] - Extra request headers (e.g. Range)
+ * @returns {Promise<Response>} Successful image response
+ * @throws {Error} A proxyError() for timeouts, network errors, error statuses and non-images
+ */
+export async function fetchArtwork(url, headers) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT);
+  let response;
+  try {
+    response = await fetch(url, { signal: controller.signal, headers, redirect: 'follow' });
+  } catch (error) {
+    throw error.name === 'AbortError'
+      ? proxyError('UPSTREAM_TIMEOUT', 'Artwork server did not respond in time')
+      : proxyError('UPSTREAM_UNREACHABLE', `Could not reach artwork server: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // Redirects must stay on Apple's CDN as well
+  if (!ALLOWED_HOST.test(new URL(response.url || url).hostname)) {
+    throw proxyError('UPSTREAM_ERROR', 'Artwork server redirected outside mzstatic.com');
+  }
+  if (!response.ok) {
+    throw proxyError('UPSTREAM_ERROR', `Artwork server returned ${response.status}`, { upstreamStatus: response.status });
+  }
+
+  const contentType = response.headers.get('content-type') || 'application/octet-stream';
+  if (!/^image\//i.test(contentType)) {
+    throw proxyError('UPSTREAM_ERROR', `Artwork server returned ${contentType} instead of an image`);
+  }
+  return response;
+}
+
+/**
+ * Reads the start of a response body and cancels the rest
+ * @param {Response} response - Image response
+ * @param {number} maxBytes - Bytes to read at most
+ * @returns {Promise<Uint8Array>} First bytes of the body
+ */
+export async function readHead(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  while (length < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  reader.cancel().catch(() => {});
+
+  const bytes = new Uint8Array(Math.min(length, maxBytes));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.length;
+    if (offset === bytes.length) break;
+  }
+  return bytes;
+}
+
+/**
+ * Finds the pixel dimensions in a JPEG header
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{width: number, height: number}|null} Dimensions, or null if the frame header isn't in bytes
+ */
+function jpegDimensions(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) return null;
+    const marker = bytes[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    // Start-of-frame markers, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+      };
+    }
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+  }
+  return null;
+}
+
+/**
+ * Finds the IFD0 offset and byte order of a TIFF file
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{littleEndian: boolean, offset: number}|null} IFD0 location, or null if not a TIFF
+ */
+export function tiffIfdOffset(bytes) {
+  if (bytes.length < 8) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const order = view.getUint16(0);
+  if (order !== 0x4949 && order !== 0x4D4D) return null;
+  const littleEndian = order === 0x4949;
+  return { littleEndian, offset: view.getUint32(4, littleEndian) };
+}
+
+/**
+ * Reads ImageWidth/ImageLength from a TIFF IFD
+ * @param {Uint8Array} bytes - Bytes starting at the IFD
+ * @param {boolean} littleEndian - Byte order from tiffIfdOffset()
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+export function tiffIfdDimensions(bytes, littleEndian) {
+  if (bytes.length < 2) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint16(0, littleEndian);
+  const dims = {};
+  for (let i = 0; i < count && 2 + i * 12 + 12 <= bytes.length; i++) {
+    const entry = 2 + i * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const value = type === 3 ? view.getUint16(entry + 8, littleEndian) : view.getUint32(entry + 8, littleEndian);
+    if (tag === 256) dims.width = value;
+    if (tag === 257) dims.height = value;
+  }
+  return dims.width && dims.height ? { width: dims.width, height: dims.height } : null;
+}
+
+/**
+ * Reads pixel dimensions from the start of an image file
+ * TIFF files are only handled when IFD0 is inside bytes; see tiffIfdOffset() otherwise.
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{type: string, width: number, height: number}|null} Format and dimensions
+ */
+export function imageDimensions(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length >= 24 && view.getUint32(0) === 0x89504E47) {
+    return { type: 'png', width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  if (bytes.length >= 4 && bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    const dims = jpegDimensions(bytes);
+    return dims && { type: 'jpeg', ...dims };
+  }
+
+  if (bytes.length >= 30 && view.getUint32(0) === 0x52494646 && view.getUint32(8) === 0x57454250) {
+    const chunk = String.fromCharCode(bytes[12], bytes[13], bytes[14], bytes[15]);
+    if (chunk === 'VP8X') {
+      return {
+        type: 'webp',
+        width: 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)),
+        height: 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16))
+      };
+    }
+    if (chunk === 'VP8 ') {
+      return { type: 'webp', width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+      const bits = view.getUint32(21, true);
+      return { type: 'webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    return null;
+  }
+
+  const tiff = tiffIfdOffset(bytes);
+  if (tiff && tiff.offset < bytes.length) {
+    const dims = tiffIfdDimensions(bytes.subarray(tiff.offset), tiff.littleEndian);
+    return dims && { type: 'tiff', ...dims };
+  }
+  return null;
+}
@@ -0,0 +1,265 @@
+/* Shared helpers for the iTunes proxy routes
+   - CORS headers, origin allow-list and preflight handling
+   - Upstream fetch with timeout, retries and backoff
+   - Structured JSON error responses
+   - Artwork variant enrichment of results
+
+   Configuration (environment variables):
+     ITUNES_UPSTREAM_TIMEOUT   Per-attempt timeout in ms (default 4000)
+     ITUNES_UPSTREAM_RETRIES   Retries after the first attempt (default 2)
+     ITUNES_UPSTREAM_BUDGET    Total ms spent on one upstream call, retries included (default 9000)
+     ALLOWED_ORIGINS           Comma-separated browser origins allowed to call the proxy,
+                               or * for any (default: same origin only)
+
+   Error body (every non-2xx response):
+     { error, message, code, retryAfter?, upstreamStatus? }
+
+     code                  status  meaning
+     INVALID_REQUEST       400     Bad, missing or unknown query parameters
+     ORIGIN_NOT_ALLOWED    403     Browser request from an origin outside ALLOWED_ORIGINS
+     RATE_LIMITED          429     This client exceeded the proxy's own rate limit
+     UPSTREAM_THROTTLED    503     Apple answered 403/429 (rate limiting)
+     UPSTREAM_TIMEOUT      504     Apple did not answer in time
+     UPSTREAM_ERROR        502     Apple answered with another error status
+     UPSTREAM_UNREACHABLE  502     Apple could not be reached
+     INTERNAL_ERROR        500     Anything else
+
+   retryAfter is in seconds and is also sent as a Retry-After header.
+*/
+
+import ArtworkResolver from '../../js/artwork.js';
+
+const UPSTREAM_TIMEOUT = parseInt(process.env.ITUNES_UPSTREAM_TIMEOUT || '4000', 10);
+const UPSTREAM_RETRIES = parseInt(process.env.ITUNES_UPSTREAM_RETRIES || '2', 10);
+const UPSTREAM_BUDGET = parseInt(process.env.ITUNES_UPSTREAM_BUDGET || '9000', 10);
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+// First backoff delay; doubles on each retry
+const RETRY_BASE_DELAY = 500;
+
+// Apple rarely sends Retry-After when throttling; clients are told to wait this long
+const DEFAULT_THROTTLE_RETRY_AFTER = 8;
+
+// Upstream statuses worth retrying
+const TRANSIENT_STATUSES = [403, 429, 500, 502, 503, 504];
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  ORIGIN_NOT_ALLOWED: 403,
+  RATE_LIMITED: 429,
+  UPSTREAM_THROTTLED: 503,
+  UPSTREAM_TIMEOUT: 504,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_UNREACHABLE: 502,
+  INTERNAL_ERROR: 500
+};
+
+/**
+ * Creates an error carrying a documented proxy error code
+ * @param {string} code - One of the codes in ERROR_STATUS
+ * @param {string} message - Detail for the client
+ * @param {Object} [details]
+ * @param {number} [details.retryAfter] - Seconds the client should wait before retrying
+ * @param {number} [details.upstreamStatus] - Status Apple answered with
+ * @returns {Error} Error with code, status, retryAfter and upstreamStatus
+ */
+export function proxyError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERROR_STATUS[code] || 500;
+  error.retryAfter = details && details.retryAfter;
+  error.upstreamStatus = details && details.upstreamStatus;
+  return error;
+}
+
+/**
+ * Checks whether a browser request comes from an allowed origin
+ * Requests without an Origin header (same-origin GETs, curl, servers) are allowed,
+ * unless the browser marks them cross-site and the Referer isn't allowed either.
+ * @param {Object} req - Incoming request
+ * @returns {boolean} True if the request may be served
+ */
+export function isOriginAllowed(req) {
+  if (ALLOWED_ORIGINS.includes('*')) return true;
+
+  let origin = req.headers.origin;
+  if (!origin && req.headers['sec-fetch-site'] === 'cross-site' && req.headers.referer) {
+    try {
+      origin = new URL(req.headers.referer).origin;
+    } catch (e) {
+      return false;
+    }
+  }
+  if (!origin) return true;
+  if (ALLOWED_ORIGINS.includes(origin)) return true;
+
+  // Same origin as the deployment itself
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Sets CORS headers, rejects disallowed origins and answers preflight requests
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ * @returns {boolean} True if the request has been answered (preflight or rejected origin)
+ */
+export function applyCors(req, res) {
+  res.setHeader('Vary', 'Origin');
+
+  if (!isOriginAllowed(req)) {
+    sendError(res, 403, 'Origin not allowed', `Requests from ${req.headers.origin || req.headers.referer} are not allowed`, { code: 'ORIGIN_NOT_ALLOWED' });
+    return true;
+  }
+
+  if (req.headers.origin) {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGINS.includes('*') ? '*' : req.headers.origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Cache, Retry-After, Content-Disposition');
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return true;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD, OPTIONS');
+    sendError(res, 405, 'Method not allowed', `${req.method} is not supported`, { code: 'INVALID_REQUEST' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header - Header value
+ * @returns {number|undefined} Seconds to wait
+ */
+function parseRetryAfter(header) {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(header);
+  return isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Fetches a JSON document from the iTunes API
+ * Transient failures (throttling, 5xx, timeouts, network errors) are retried
+ * with exponential backoff while the time budget allows.
+ * @param {string} itunesUrl - Fully built iTunes API URL
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} A proxyError() describing the final failure
+ */
+export async function fetchItunes(itunesUrl) {
+  const deadline = Date.now() + UPSTREAM_BUDGET;
+  let lastError;
+
+  for (let attempt = 0; attempt <= UPSTREAM_RETRIES; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.min(UPSTREAM_TIMEOUT, remaining));
+    let retryAfter;
+
+    try {
+      const response = await fetch(itunesUrl, { signal: controller.signal });
+      if (response.ok) {
+        return await response.json();
+      }
+
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (response.status === 403 || response.status === 429) {
+        lastError = proxyError('UPSTREAM_THROTTLED', 'Apple is rate limiting requests', {
+          retryAfter: retryAfter !== undefined ? retryAfter : DEFAULT_THROTTLE_RETRY_AFTER,
+          upstreamStatus: response.status
+        });
+      } else {
+        lastError = proxyError('UPSTREAM_ERROR', `iTunes API returned ${response.status}`, {
+          upstreamStatus: response.status
+        });
+      }
+      if (!TRANSIENT_STATUSES.includes(response.status)) {
+        throw lastError;
+      }
+    } catch (error) {
+      if (error.code === 'UPSTREAM_ERROR') throw error;
+      if (!error.code) {
+        lastError = error.name === 'AbortError'
+          ? proxyError('UPSTREAM_TIMEOUT', 'iTunes API did not respond in time')
+          : proxyError('UPSTREAM_UNREACHABLE', `Could not reach iTunes API: ${error.message}`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // Back off before the next attempt, but give up if Apple asks for a longer wait than we have
+    const delay = Math.max(RETRY_BASE_DELAY * 2 ** attempt + Math.random() * 250, (retryAfter || 0) * 1000);
+    if (attempt === UPSTREAM_RETRIES || Date.now() + delay >= deadline) break;
+    console.warn(`iTunes API attempt ${attempt + 1} failed (${lastError.code}), retrying in ${Math.round(delay)}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  throw lastError || proxyError('UPSTREAM_TIMEOUT', 'iTunes API did not respond in time');
+}
+
+/**
+ * Sends a JSON error body
+ * @param {Object} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {string} error - Short error summary
+ * @param {string} message - Detail for the client
+ * @param {Object} [details] - code, retryAfter and upstreamStatus
+ */
+export function sendError(res, status, error, message, details) {
+  const body = { error, message, code: (details && details.code) || 'INTERNAL_ERROR' };
+  if (details && details.retryAfter !== undefined) {
+    body.retryAfter = details.retryAfter;
+    res.setHeader('Retry-After', String(details.retryAfter));
+  }
+  if (details && details.upstreamStatus !== undefined) {
+    body.upstreamStatus = details.upstreamStatus;
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).json(body);
+}
+
+/**
+ * Sends the documented error body for an error thrown by a route
+ * @param {Object} res - Server response
+ * @param {Error} error - proxyError() or any unexpected error
+ * @param {string} summary - Short error summary for the route
+ */
+export function sendProxyError(res, error, summary) {
+  if (!error.code) {
+    error = proxyError('INTERNAL_ERROR', error.message);
+  }
+  sendError(res, error.status, summary, error.message, error);
+}
+
+/**
+ * Adds resolved artwork variants to every result as `artwork`, and app screenshots as `screenshots`
+ * @param {Object} data - iTunes API response body
+ * @param {string} [entity] - Requested entity, used when a result is ambiguous
+ * @param {string} format - 'jpg' or 'png'
+ */
+export function attachArtwork(data, entity, format) {
+  if (!Array.isArray(data.results)) {
+    return;
+  }
+  data.results.forEach(result => {
+    const resultEntity = ArtworkResolver.entityForResult(result, entity);
+    result.artwork = ArtworkResolver.resolveArtwork(result, resultEntity, { format });
+    if (resultEntity === 'software') {
+      result.screenshots = ArtworkResolver.resolveScreenshots(result, { format });
+    }
+  });
+}
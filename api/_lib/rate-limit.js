@@ -0,0 +1,66 @@
+/* Per-client rate limiting for the proxy routes
+   - Fixed window counters keyed by client IP, held in memory per instance
+
+   Configuration (environment variables):
+     RATE_LIMIT_MAX     Requests allowed per client per window (default 120, 0 disables)
+     RATE_LIMIT_WINDOW  Window length in seconds (default 60)
+*/
+
+import { proxyError } from './proxy.js';
+
+const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || '120', 10);
+const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW || '60', 10);
+
+// client id -> { count, resetAt }
+const windows = new Map();
+
+/**
+ * Identifies the calling client
+ * @param {Object} req - Incoming request
+ * @returns {string} Client IP (first X-Forwarded-For hop when behind a proxy)
+ */
+export function clientId(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Counts the request against its client's window and rejects it once the limit is reached
+ * Sets X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset headers.
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ * @throws {Error} proxyError('RATE_LIMITED') when the client is over its limit
+ */
+export function enforceRateLimit(req, res) {
+  if (RATE_LIMIT_MAX <= 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const id = clientId(req);
+  let window = windows.get(id);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW * 1000 };
+    windows.set(id, window);
+  }
+  window.count++;
+
+  // Drop expired windows now and then so the map doesn't grow without bound
+  if (windows.size > 1000) {
+    windows.forEach((w, key) => {
+      if (w.resetAt <= now) windows.delete(key);
+    });
+  }
+
+  const resetIn = Math.ceil((window.resetAt - now) / 1000);
+  res.setHeader('X-RateLimit-Limit', String(RATE_LIMIT_MAX));
+  res.setHeader('X-RateLimit-Remaining', String(Math.max(0, RATE_LIMIT_MAX - window.count)));
+  res.setHeader('X-RateLimit-Reset', String(resetIn));
+
+  if (window.count > RATE_LIMIT_MAX) {
+    throw proxyError('RATE_LIMITED', `Too many requests, try again in ${resetIn}s`, { retryAfter: resetIn });
+  }
+}
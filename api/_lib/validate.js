@@ -0,0 +1,191 @@
+/* Query parameter validation for the iTunes proxy routes
+   - Allow-lists parameter names per route
+   - Checks media/entity/attribute combinations and storefront codes
+   - Bounds limit and term length
+*/
+
+import ItunesParams from '../../js/itunes-params.js';
+import { proxyError } from './proxy.js';
+
+const MAX_TERM_LENGTH = 300;
+const ARTWORK_FORMATS = ['jpg', 'png'];
+const LOOKUP_SORTS = ['recent'];
+
+// Every entity Apple knows, for routes where media is implied (lookup)
+const ALL_ENTITIES = Array.from(new Set(
+  Object.keys(ItunesParams.MEDIA_ENTITIES).reduce((all, media) => all.concat(ItunesParams.MEDIA_ENTITIES[media]), [])
+));
+
+/**
+ * Returns a single string value for a query parameter
+ * @param {Object} query - req.query
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} Trimmed value
+ * @throws {Error} INVALID_REQUEST when the parameter is repeated
+ */
+function single(query, name) {
+  const value = query[name];
+  if (Array.isArray(value)) {
+    throw proxyError('INVALID_REQUEST', `Parameter "${name}" may only be given once`);
+  }
+  return value === undefined ? undefined : String(value).trim();
+}
+
+/**
+ * Rejects parameters outside the route's allow-list
+ * @param {Object} query - req.query
+ * @param {string[]} allowed - Allowed parameter names
+ * @throws {Error} INVALID_REQUEST listing the unknown parameters
+ */
+export function rejectUnknownParams(query, allowed) {
+  const unknown = Object.keys(query).filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    throw proxyError('INVALID_REQUEST', `Unknown parameter${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Validates a storefront country code
+ * @param {string|undefined} country - Country code
+ * @returns {string|undefined} Lower-cased code
+ */
+export function validateCountry(country) {
+  if (country === undefined || country === '') return undefined;
+  const code = country.toLowerCase();
+  if (!ItunesParams.COUNTRY_CODES.includes(code)) {
+    throw proxyError('INVALID_REQUEST', `Unsupported country "${country}". Use a two-letter storefront code such as us, gb or jp`);
+  }
+  return code;
+}
+
+/**
+ * Validates and bounds the result limit
+ * @param {string|undefined} limit - Raw limit
+ * @param {number} fallback - Limit used when none is given
+ * @returns {number} Limit between 1 and ItunesParams.MAX_LIMIT
+ */
+export function validateLimit(limit, fallback) {
+  if (limit === undefined || limit === '') return fallback;
+  if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > ItunesParams.MAX_LIMIT) {
+    throw proxyError('INVALID_REQUEST', `limit must be a whole number from 1 to ${ItunesParams.MAX_LIMIT}`);
+  }
+  return Number(limit);
+}
+
+/**
+ * Validates the result offset used for paging
+ * @param {string|undefined} offset - Raw offset
+ * @returns {number|undefined} Offset between 0 and ItunesParams.MAX_OFFSET
+ */
+export function validateOffset(offset) {
+  if (offset === undefined || offset === '') return undefined;
+  if (!/^\d+$/.test(offset) || Number(offset) > ItunesParams.MAX_OFFSET) {
+    throw proxyError('INVALID_REQUEST', `offset must be a whole number from 0 to ${ItunesParams.MAX_OFFSET}`);
+  }
+  return Number(offset);
+}
+
+/**
+ * Validates the optional artwork format
+ * @param {string|undefined} artwork - 'jpg' or 'png'
+ * @returns {string|undefined} Format
+ */
+export function validateArtworkFormat(artwork) {
+  if (artwork === undefined || artwork === '') return undefined;
+  if (!ARTWORK_FORMATS.includes(artwork)) {
+    throw proxyError('INVALID_REQUEST', `artwork must be one of: ${ARTWORK_FORMATS.join(', ')}`);
+  }
+  return artwork;
+}
+
+/**
+ * Validates the optional result language
+ * @param {string|undefined} lang - en_us or ja_jp
+ * @returns {string|undefined} Lower-cased language
+ */
+export function validateLanguage(lang) {
+  if (lang === undefined || lang === '') return undefined;
+  const value = lang.toLowerCase();
+  if (!ItunesParams.SEARCH_LANGUAGES.includes(value)) {
+    throw proxyError('INVALID_REQUEST', `lang must be one of: ${ItunesParams.SEARCH_LANGUAGES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Validates the query of the search route
+ * @param {Object} query - req.query
+ * @returns {{term: string, media: string, entity: string|undefined, attribute: string|undefined,
+ *   country: string|undefined, limit: number, offset: number|undefined, lang: string|undefined,
+ *   artwork: string|undefined}} Normalised parameters
+ * @throws {Error} INVALID_REQUEST describing the first problem found
+ */
+export function validateSearchQuery(query) {
+  rejectUnknownParams(query, ['term', 'entity', 'media', 'attribute', 'country', 'limit', 'offset', 'lang', 'artwork']);
+
+  const term = single(query, 'term');
+  if (!term) {
+    throw proxyError('INVALID_REQUEST', 'term is required');
+  }
+  if (term.length > MAX_TERM_LENGTH) {
+    throw proxyError('INVALID_REQUEST', `term must be at most ${MAX_TERM_LENGTH} characters`);
+  }
+
+  const media = single(query, 'media') || 'all';
+  if (!ItunesParams.MEDIA_ENTITIES[media]) {
+    throw proxyError('INVALID_REQUEST', `Unknown media "${media}". Allowed: ${Object.keys(ItunesParams.MEDIA_ENTITIES).join(', ')}`);
+  }
+
+  const entity = single(query, 'entity') || undefined;
+  if (entity && !ItunesParams.MEDIA_ENTITIES[media].includes(entity)) {
+    throw proxyError('INVALID_REQUEST', `entity "${entity}" is not valid for media "${media}". Allowed: ${ItunesParams.MEDIA_ENTITIES[media].join(', ')}`);
+  }
+
+  const attribute = single(query, 'attribute') || undefined;
+  if (attribute && !ItunesParams.MEDIA_ATTRIBUTES[media].includes(attribute)) {
+    throw proxyError('INVALID_REQUEST', `attribute "${attribute}" is not valid for media "${media}". Allowed: ${ItunesParams.MEDIA_ATTRIBUTES[media].join(', ')}`);
+  }
+
+  return {
+    term,
+    media,
+    entity,
+    attribute,
+    country: validateCountry(single(query, 'country')),
+    limit: validateLimit(single(query, 'limit'), ItunesParams.DEFAULT_LIMIT),
+    offset: validateOffset(single(query, 'offset')),
+    lang: validateLanguage(single(query, 'lang')),
+    artwork: validateArtworkFormat(single(query, 'artwork'))
+  };
+}
+
+/**
+ * Validates the non-key parameters of the lookup route
+ * The lookup key itself (id, upc, ...) is validated by the route.
+ * @param {Object} query - req.query
+ * @param {string[]} lookupKeys - Accepted lookup key names
+ * @returns {{entity: string|undefined, country: string|undefined, limit: number|undefined,
+ *   sort: string|undefined, artwork: string|undefined}} Normalised parameters
+ * @throws {Error} INVALID_REQUEST describing the first problem found
+ */
+export function validateLookupQuery(query, lookupKeys) {
+  rejectUnknownParams(query, lookupKeys.concat(['entity', 'country', 'limit', 'sort', 'artwork']));
+
+  const entity = single(query, 'entity') || undefined;
+  if (entity && !ALL_ENTITIES.includes(entity)) {
+    throw proxyError('INVALID_REQUEST', `Unknown entity "${entity}"`);
+  }
+
+  const sort = single(query, 'sort') || undefined;
+  if (sort && !LOOKUP_SORTS.includes(sort)) {
+    throw proxyError('INVALID_REQUEST', `sort must be one of: ${LOOKUP_SORTS.join(', ')}`);
+  }
+
+  return {
+    entity,
+    country: validateCountry(single(query, 'country')),
+    limit: validateLimit(single(query, 'limit'), undefined),
+    sort,
+    artwork: validateArtworkFormat(single(query, 'artwork'))
+  };
+}
@@ -0,0 +1,96 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { applyCors, sendProxyError } from './_lib/proxy.js';
+import { fetchArtwork, parseArtworkUrl } from './_lib/image.js';
+import { enforceRateLimit } from './_lib/rate-limit.js';
+import { rejectUnknownParams } from './_lib/validate.js';
+import Filenames from '../js/filename.js';
+
+// Rendered artwork URLs never change, so downloads can be cached for a long time
+const CACHE_CONTROL = 'public, max-age=86400, s-maxage=604800, immutable';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/tiff': 'tif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Builds the download filename
+ * Uses the requested name when given, otherwise the last path segment of the URL,
+ * and makes sure the extension matches the image type.
+ * @param {string|undefined} requested - filename query parameter
+ * @param {URL} url - Image URL
+ * @param {string} contentType - Upstream Content-Type
+ * @returns {string} Filename safe for Content-Disposition
+ */
+function downloadFilename(requested, url, contentType) {
+  const extension = EXTENSIONS[contentType.split(';')[0].trim().toLowerCase()];
+  let name = typeof requested === 'string' && requested.trim() ? requested : url.pathname.split('/').pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch (e) {
+    // Keep malformed escapes as they are; they are sanitised below
+  }
+
+  name = Filenames.sanitizeFilename(name);
+
+  if (extension && !new RegExp(`\\.${extension}$`, 'i').test(name)) {
+    name = `${name.replace(/\.(jpe?g|png|tiff?|webp)$/i, '')}.${extension}`;
+  }
+  return name;
+}
+
+/**
+ * Formats a Content-Disposition header with an ASCII fallback and a UTF-8 filename
+ * @param {string} filename - Download filename
+ * @returns {string} Header value
+ */
+function contentDisposition(filename) {
+  const ascii = filename.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7E]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) {
+    return;
+  }
+
+  try {
+    enforceRateLimit(req, res);
+    rejectUnknownParams(req.query, ['url', 'filename']);
+    const url = parseArtworkUrl(req.query.url);
+
+    const response = await fetchArtwork(url);
+    const contentType = response.headers.get('content-type');
+
+    res.setHeader('Content-Type', contentType);
+    const contentLength = response.headers.get('content-length');
+    if (contentLength) {
+      res.setHeader('Content-Length', contentLength);
+    }
+    res.setHeader('Content-Disposition', contentDisposition(downloadFilename(req.query.filename, url, contentType)));
+    res.setHeader('Cache-Control', CACHE_CONTROL);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.status(200);
+
+    if (req.method === 'HEAD' || !response.body) {
+      if (response.body) response.body.cancel().catch(() => {});
+      res.end();
+      return;
+    }
+    await pipeline(Readable.fromWeb(response.body), res);
+
+  } catch (error) {
+    console.error('Artwork proxy error:', error);
+    // Once the image has started streaming (or the pipeline tore it down) the status can't
+    // change; cut the response short instead
+    if (res.headersSent || res.destroyed) {
+      res.destroy(error);
+      return;
+    }
+    sendProxyError(res, error, 'Failed to fetch artwork');
+  }
+}
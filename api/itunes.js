@@ -1,47 +1,45 @@
+import { applyCors, attachArtwork, fetchItunes, sendProxyError } from './_lib/proxy.js';
+import { cacheKey, sendCached } from './_lib/cache.js';
+import { enforceRateLimit } from './_lib/rate-limit.js';
+import { validateSearchQuery } from './_lib/validate.js';
+
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
+  if (applyCors(req, res)) {
     return;
   }
 
   try {
-    // Extract query parameters
-    const { term, entity, country, media, attribute, limit } = req.query;
+    enforceRateLimit(req, res);
+
+    // Validate and normalise query parameters
+    const { term, entity, country, media, attribute, limit, offset, lang, artwork } = validateSearchQuery(req.query);
     
     // Build iTunes API URL
     const params = new URLSearchParams();
-    if (term) params.set('term', term);
+    params.set('term', term);
+    params.set('media', media);
     if (entity) params.set('entity', entity);
     if (country) params.set('country', country);
-    if (media) params.set('media', media);
     if (attribute) params.set('attribute', attribute);
-    params.set('limit', limit || '60');
-    
-    const itunesUrl = `https://itunes.apple.com/search?${params}`;
-    console.log('Fetching from iTunes API:', itunesUrl);
-    
-    // Fetch from iTunes API
-    const response = await fetch(itunesUrl);
+    params.set('limit', String(limit));
+    if (offset) params.set('offset', String(offset));
+    if (lang) params.set('lang', lang);
+    if (artwork) params.set('artwork', artwork);
     
-    if (!response.ok) {
-      throw new Error(`iTunes API returned ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // Return JSON response
-    res.status(200).json(data);
+    // Serve from cache, fetching from iTunes API on a miss
+    await sendCached(req, res, cacheKey('search', params), async () => {
+      params.delete('artwork');
+      const data = await fetchItunes(`https://itunes.apple.com/search?${params}`);
+      
+      // Optionally attach resolved artwork variants (artwork=jpg|png)
+      if (artwork) {
+        attachArtwork(data, entity, artwork);
+      }
+      return data;
+    });
     
   } catch (error) {
     console.error('iTunes API proxy error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch from iTunes API',
-      message: error.message 
-    });
+    sendProxyError(res, error, 'Failed to fetch from iTunes API');
   }
-}
\ No newline at end of file
+}
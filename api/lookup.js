@@ -0,0 +1,79 @@
+import { applyCors, attachArtwork, fetchItunes, proxyError, sendProxyError } from './_lib/proxy.js';
+import { cacheKey, sendCached } from './_lib/cache.js';
+import { enforceRateLimit } from './_lib/rate-limit.js';
+import { validateLookupQuery } from './_lib/validate.js';
+
+// Lookup keys supported by the iTunes Lookup API and the shape of each value
+const LOOKUP_KEYS = {
+  id: /^\d+$/,
+  upc: /^\d{12,14}$/,
+  isbn: /^(\d{9}[\dX]|\d{13})$/,
+  amgArtistId: /^\d+$/,
+  amgAlbumId: /^\d+$/,
+  bundleId: /^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/
+};
+
+/**
+ * Splits a comma-separated lookup value and normalises each entry
+ * @param {string} key - Lookup key
+ * @param {string} value - Raw query value
+ * @returns {string[]} Normalised values
+ */
+function splitValues(key, value) {
+  return String(value)
+    .split(',')
+    .map(v => v.trim())
+    .map(v => key === 'isbn' ? v.replace(/[\s-]/g, '').toUpperCase() : v)
+    .filter(v => v.length > 0);
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) {
+    return;
+  }
+
+  try {
+    enforceRateLimit(req, res);
+
+    const { entity, country, limit, sort, artwork } = validateLookupQuery(req.query, Object.keys(LOOKUP_KEYS));
+
+    // Exactly one lookup key per request, as Apple only honours one
+    const keys = Object.keys(LOOKUP_KEYS).filter(key => req.query[key]);
+    if (keys.length !== 1) {
+      throw proxyError('INVALID_REQUEST', `Provide exactly one of: ${Object.keys(LOOKUP_KEYS).join(', ')}`);
+    }
+
+    const key = keys[0];
+    const values = splitValues(key, req.query[key]);
+    const invalid = values.filter(v => !LOOKUP_KEYS[key].test(v));
+    if (values.length === 0 || invalid.length > 0) {
+      throw proxyError('INVALID_REQUEST', `Invalid ${key} value: ${invalid.join(', ') || req.query[key]}`);
+    }
+
+    // Build iTunes API URL
+    const params = new URLSearchParams();
+    params.set(key, values.join(','));
+    if (entity) params.set('entity', entity);
+    if (country) params.set('country', country);
+    if (limit) params.set('limit', String(limit));
+    if (sort) params.set('sort', sort);
+
+    if (artwork) params.set('artwork', artwork);
+
+    // Serve from cache, fetching from iTunes API on a miss
+    await sendCached(req, res, cacheKey('lookup', params), async () => {
+      params.delete('artwork');
+      const data = await fetchItunes(`https://itunes.apple.com/lookup?${params}`);
+
+      // Optionally attach resolved artwork variants (artwork=jpg|png)
+      if (artwork) {
+        attachArtwork(data, entity, artwork);
+      }
+      return data;
+    });
+
+  } catch (error) {
+    console.error('iTunes lookup proxy error:', error);
+    sendProxyError(res, error, 'Failed to fetch from iTunes Lookup API');
+  }
+}
@@ -0,0 +1,78 @@
+import { applyCors, proxyError, sendProxyError } from './_lib/proxy.js';
+import { cacheKey, sendCached } from './_lib/cache.js';
+import { fetchArtwork, imageDimensions, parseArtworkUrl, readHead, tiffIfdDimensions, tiffIfdOffset } from './_lib/image.js';
+import { enforceRateLimit } from './_lib/rate-limit.js';
+import { rejectUnknownParams } from './_lib/validate.js';
+
+// Bytes read from the start of the image; enough for the header of any CDN image
+const PROBE_BYTES = 128 * 1024;
+
+// TIFF directories are small; this covers a few hundred tags
+const TIFF_IFD_BYTES = 4096;
+
+/**
+ * Reads the total size of an image from a ranged or full response
+ * @param {Response} response - Image response
+ * @returns {number|null} Size in bytes
+ */
+function totalBytes(response) {
+  const range = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+  if (range) return Number(range[1]);
+  const length = response.headers.get('content-length');
+  return response.status === 200 && length ? Number(length) : null;
+}
+
+/**
+ * Fetches just enough of an image to report its format, dimensions and size
+ * @param {URL} url - Image URL
+ * @returns {Promise<{url: string, type: string|null, width: number|null, height: number|null, bytes: number|null}>}
+ */
+async function probeImage(url) {
+  const response = await fetchArtwork(url, { Range: `bytes=0-${PROBE_BYTES - 1}` });
+  const bytes = totalBytes(response);
+  const head = await readHead(response, PROBE_BYTES);
+
+  let dims = imageDimensions(head);
+
+  // TIFF writers often put the image directory at the end of the file
+  const tiff = !dims && tiffIfdOffset(head);
+  if (tiff && tiff.offset >= head.length) {
+    const ifdResponse = await fetchArtwork(url, { Range: `bytes=${tiff.offset}-${tiff.offset + TIFF_IFD_BYTES - 1}` });
+    if (ifdResponse.status === 206) {
+      const ifd = tiffIfdDimensions(await readHead(ifdResponse, TIFF_IFD_BYTES), tiff.littleEndian);
+      dims = ifd && { type: 'tiff', ...ifd };
+    } else {
+      ifdResponse.body.cancel().catch(() => {});
+    }
+  }
+
+  if (!dims && bytes === null) {
+    throw proxyError('UPSTREAM_ERROR', 'Could not read the image header');
+  }
+  return {
+    url: url.href,
+    type: dims ? dims.type : null,
+    width: dims ? dims.width : null,
+    height: dims ? dims.height : null,
+    bytes
+  };
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) {
+    return;
+  }
+
+  try {
+    enforceRateLimit(req, res);
+    rejectUnknownParams(req.query, ['url']);
+    const url = parseArtworkUrl(req.query.url);
+
+    const params = new URLSearchParams({ url: url.href });
+    await sendCached(req, res, cacheKey('probe', params), () => probeImage(url));
+
+  } catch (error) {
+    console.error('Artwork probe error:', error);
+    sendProxyError(res, error, 'Failed to probe artwork');
+  }
+}
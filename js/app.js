@@ -14,23 +14,19 @@ window.attribute = '';
  * @param {string} term - Search term
  * @param {string} entity - iTunes entity type (album, song, movie, etc.)
  * @param {string} country - Country code
+ * @param {Object} [page] - Page to fetch, see fetchResults
  * @returns {string} Complete iTunes API URL
  */
-function buildUrl(term, entity, country) {
+function buildUrl(term, entity, country, page) {
   const urlSearchParams = new URLSearchParams();
   urlSearchParams.set('country', country);
-  urlSearchParams.set('limit', 60);
+  urlSearchParams.set('limit', (page && page.limit) || ItunesParams.DEFAULT_LIMIT);
+  if (page && page.offset) {
+    urlSearchParams.set('offset', page.offset);
+  }
   
   // Map entities to their corresponding media types
-  const entityToMediaMap = {
-    'audiobook': { media: 'audiobook', entity: 'audiobook' },
-    'ebook': { media: 'ebook', entity: 'ebook' },
-    'movie': { media: 'movie', entity: 'movie' },
-    'tvSeason': { media: 'tvShow', entity: 'tvSeason' },
-    'song': { media: 'music', entity: 'song' },
-    'album': { media: 'music', entity: 'album' },
-    'software': { media: 'software', entity: 'software' }
-  };
+  const entityToMediaMap = ItunesParams.ENTITY_MEDIA;
   
   // Set media and entity parameters correctly
   const mediaConfig = entityToMediaMap[entity];
@@ -57,33 +53,37 @@ function buildUrl(term, entity, country) {
  * @param {string} term - Search term
  * @param {string} entity - iTunes entity type
  * @param {string} country - Country code
+ * @param {string} [attribute] - Search attribute, defaults to the last parsed one (window.attribute)
+ * @param {Object} [page] - Page to fetch
+ * @param {number} [page.limit] - Results per page (1-200, default ItunesParams.DEFAULT_LIMIT)
+ * @param {number} [page.offset] - Results to skip
+ * @param {string} [lang] - Result language (en_us or ja_jp), Apple's default when left out
  * @returns {Promise<Object|null>} Search results or null on error
  */
-async function fetchResults(term, entity, country) {
+async function fetchResults(term, entity, country, attribute, page, lang) {
   // Always use proxy approach (works for both Vercel and localhost with proper setup)
-  return fetchResultsProxy(term, entity, country);
+  return fetchResultsProxy(term, entity, country, attribute, page, lang);
 }
 
 /**
  * Fetches search results using proxy with fallback to direct iTunes API
  */
-async function fetchResultsProxy(term, entity, country) {
+async function fetchResultsProxy(term, entity, country, attribute, page, lang) {
   try {
-    // Map entities to their corresponding media types (keeping all your existing mapping)
-    const entityToMediaMap = {
-      'audiobook': { media: 'audiobook', entity: 'audiobook' },
-      'ebook': { media: 'ebook', entity: 'ebook' },
-      'movie': { media: 'movie', entity: 'movie' },
-      'song': { media: 'music', entity: 'song' },
-      'album': { media: 'music', entity: 'album' },
-      'software': { media: 'software', entity: 'software' }
-    };
+    // Map entities to their corresponding media types
+    const entityToMediaMap = ItunesParams.ENTITY_MEDIA;
     
     // Build proxy URL parameters (preserving all your parameter logic)
     const params = new URLSearchParams();
     params.set('term', term);
     params.set('country', country);
-    params.set('limit', '60');
+    params.set('limit', String((page && page.limit) || ItunesParams.DEFAULT_LIMIT));
+    if (page && page.offset) {
+      params.set('offset', String(page.offset));
+    }
+    if (lang) {
+      params.set('lang', lang);
+    }
     
     const mediaConfig = entityToMediaMap[entity];
     if (mediaConfig) {
@@ -94,8 +94,13 @@ async function fetchResultsProxy(term, entity, country) {
       params.set('entity', entity);
     }
     
-    if (typeof window !== 'undefined' && window.attribute && window.attribute.length > 0) {
-      params.set('attribute', window.attribute);
+    if (attribute === undefined && typeof window !== 'undefined') {
+      attribute = window.attribute;
+    }
+    // Prefix attributes are generic (title:, author:); use the name Apple accepts for this media
+    const mediaAttribute = ItunesParams.attributeForMedia(attribute, params.get('media'), params.get('entity'));
+    if (mediaAttribute) {
+      params.set('attribute', mediaAttribute);
     }
     
     // Try proxy first, fallback to direct API on localhost
@@ -109,7 +114,7 @@ async function fetchResultsProxy(term, entity, country) {
       const response = await fetch(proxyUrl);
       
       if (!response.ok) {
-        throw new Error(`Proxy returned ${response.status}: ${response.statusText}`);
+        throw await proxyResponseError(response, 'Proxy returned');
       }
       
       const data = await response.json();
@@ -151,11 +156,86 @@ async function fetchResultsProxy(term, entity, country) {
   }
 }
 
+// Proxy error codes that clear up on their own and are retried after retryAfter seconds
+const RETRYABLE_ERROR_CODES = ['RATE_LIMITED', 'UPSTREAM_THROTTLED'];
+const MAX_THROTTLE_RETRIES = 2;
+
+/**
+ * Builds an Error from a proxy error response
+ * The proxy answers with { error, message, code, retryAfter?, upstreamStatus? };
+ * those fields are copied onto the Error.
+ * @param {Response} response - Non-2xx proxy response
+ * @param {string} prefix - Message prefix used when the body is not JSON
+ * @returns {Promise<Error>} Error with code, status, retryAfter and upstreamStatus
+ */
+async function proxyResponseError(response, prefix) {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (e) {
+    // Not a proxy error body (e.g. platform error page)
+  }
+  const error = new Error(body && body.message ? body.message : `${prefix} ${response.status}: ${response.statusText}`);
+  error.code = (body && body.code) || `HTTP_${response.status}`;
+  error.status = response.status;
+  error.retryAfter = body && body.retryAfter !== undefined ? body.retryAfter : Number(response.headers.get('Retry-After')) || undefined;
+  error.upstreamStatus = body ? body.upstreamStatus : undefined;
+  return error;
+}
+
+/**
+ * Runs a request, waiting out and retrying rate-limit errors
+ * @param {Function} task - async () => result
+ * @param {Function} [onWait] - Called every second while waiting with (error, secondsLeft)
+ * @returns {Promise<*>} Result of the task
+ */
+async function retryOnThrottle(task, onWait) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (e) {
+      if (!RETRYABLE_ERROR_CODES.includes(e.code) || attempt >= MAX_THROTTLE_RETRIES) {
+        throw e;
+      }
+      for (let secondsLeft = e.retryAfter || 5; secondsLeft > 0; secondsLeft--) {
+        if (onWait) onWait(e, secondsLeft);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+}
+
+/**
+ * Turns a search error into a message for the results area
+ * @param {Error} error - Error from fetchResults/fetchResultsLookup
+ * @param {number} [secondsLeft] - Seconds until an automatic retry, if one is pending
+ * @returns {string} User-facing message
+ */
+function describeSearchError(error, secondsLeft) {
+  const retrying = secondsLeft ? `, retrying in ${secondsLeft}s` : '';
+  switch (error.code) {
+    case 'UPSTREAM_THROTTLED':
+      return `Apple is rate limiting${retrying || ' requests, please try again shortly'}`;
+    case 'RATE_LIMITED':
+      return `Too many searches from this browser${retrying || `, please wait ${error.retryAfter || 60}s`}`;
+    case 'UPSTREAM_TIMEOUT':
+      return 'Apple took too long to respond, please try again';
+    case 'UPSTREAM_UNREACHABLE':
+      return 'Could not reach Apple, please try again';
+    case 'UPSTREAM_ERROR':
+      return `Apple returned an error${error.upstreamStatus ? ` (${error.upstreamStatus})` : ''}`;
+    case 'INVALID_REQUEST':
+      return 'That search could not be sent to Apple';
+    default:
+      return 'Sorry, some error occurred while loading the results...';
+  }
+}
+
 /**
  * Fetches search results using JSONP (for localhost development)
  */
-async function fetchResultsJSONP(term, entity, country) {
-  const url = buildUrl(term, entity, country);
+async function fetchResultsJSONP(term, entity, country, page) {
+  const url = buildUrl(term, entity, country, page);
   
   return new Promise((resolve, reject) => {
     // Create a unique callback name
@@ -204,213 +284,236 @@ async function fetchResultsJSONP(term, entity, country) {
 }
 
 /**
- * Parse search term for prefixes and return parsed components
- * @param {string} rawTerm - Raw search term with potential prefixes
- * @returns {Object} Parsed search components
+ * Fetches search results using iTunes Lookup API for direct ID searches
+ * @param {string} id - The value(s) to look up, comma-separated for several
+ * @param {string} country - Country code
+ * @param {string} [lookupKey='id'] - Lookup key (id, upc, isbn, amgArtistId, amgAlbumId, bundleId)
+ * @param {Object} [extraParams] - Additional lookup parameters (entity, limit, sort)
+ * @returns {Promise<Object|null>} Lookup results or null on error
  */
-function parseSearchTerm(rawTerm) {
-  let entity = 'album';
-  let attribute = '';
-  let countryCode = 'us';
-  
-  // Detect .png anywhere in the original term
-  let usePng = false;
-  if (rawTerm && rawTerm.toLowerCase().includes('.png')) {
-    usePng = true;
-    rawTerm = rawTerm.replace(/\.png/gi, '').trim();
+async function fetchResultsLookup(id, country, lookupKey, extraParams) {
+  const urlSearchParams = new URLSearchParams();
+  urlSearchParams.set(lookupKey || 'id', id);
+  urlSearchParams.set('country', country);
+  if (extraParams) {
+    Object.keys(extraParams).forEach(key => urlSearchParams.set(key, extraParams[key]));
   }
-  
-  let searchTerm = rawTerm;
-  // After country/entity/attribute prefix parsing, remove .png again if present
-  if (searchTerm && searchTerm.toLowerCase().includes('.png')) {
-    searchTerm = searchTerm.replace(/\.png/gi, '').trim();
+  let baseUrl = 'https://itunes.apple.com/lookup';
+  // Only add callback for localhost/JSONP
+  if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+    urlSearchParams.set('callback', 'handleApiResponse');
+    const url = `${baseUrl}?${urlSearchParams}`;
+    return new Promise((resolve, reject) => {
+      const callbackName = 'jsonp_callback_' + Math.round(100000 * Math.random());
+      const script = document.createElement('script');
+      script.src = url.replace('callback=handleApiResponse', `callback=${callbackName}`);
+      window[callbackName] = function(data) {
+        cleanup();
+        resolve(data);
+      };
+      script.onerror = function(event) {
+        console.error('JSONP script load failed:', event);
+        cleanup();
+        reject(new Error('JSONP request failed - script load error'));
+      };
+      function cleanup() {
+        if (window[callbackName]) {
+          delete window[callbackName];
+        }
+        if (script && script.parentNode) {
+          script.parentNode.removeChild(script);
+        }
+      }
+      document.body.appendChild(script);
+      setTimeout(() => {
+        if (window[callbackName]) {
+          cleanup();
+          reject(new Error('Request timeout'));
+        }
+      }, 10000);
+    });
+  } else {
+    // Use Vercel lookup proxy for production
+    const url = `/api/lookup?${urlSearchParams}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw await proxyResponseError(response, 'Lookup API returned');
+    }
+    const jsonResult = await response.json();
+    return jsonResult;
   }
-  
-  // Map attribute prefixes to iTunes API attributes and their default entities
-  const attributeEntityMap = {
-    'artist:': { entity: 'album', attribute: 'artistTerm' },
-    'title:': { entity: 'album', attribute: 'titleTerm' },
-    'author:': { entity: 'audiobook', attribute: 'authorTerm' },
-    'director:': { entity: 'movie', attribute: 'directorTerm' },
-    'actor:': { entity: 'movie', attribute: 'actorTerm' },
-    'composer:': { entity: 'album', attribute: 'composerTerm' }
-  };
+}
 
-  // Map entity prefixes to iTunes API entities
-  const entityMap = {
-    'album:': 'album',
-    'song:': 'song',
-    'audiobook:': 'audiobook',
-    'ebook:': 'ebook',
-    'movie:': 'movie',
-    'tv:': 'tvSeason',
-    'app:': 'software'
+/**
+ * Parses a shared Apple link into lookup or search components
+ * Handles itunes/apps/books.apple.com ".../id123" links, music.apple.com
+ * (including geo. short links and "?i=" song links), podcasts.apple.com and
+ * tv.apple.com, whose umc ids are not iTunes IDs and fall back to a title search.
+ * @param {string} rawTerm - Raw search input
+ * @returns {Object|null} { id, term, entity, country, lookupParams, artistId } or null if no Apple URL
+ */
+function parseAppleUrl(rawTerm) {
+  const urlMatch = rawTerm && rawTerm.match(/https?:\/\/(?:geo\.)?(itunes|apps|books|music|tv|podcasts)\.apple\.com\/[^\s]*/i);
+  if (!urlMatch) {
+    return null;
+  }
+  
+  let url;
+  try {
+    url = new URL(urlMatch[0]);
+  } catch (e) {
+    return null;
+  }
+  const host = urlMatch[1].toLowerCase();
+  // A malformed escape (e.g. a truncated "%E0%A4%A") keeps its segment as pasted
+  const decodeSegment = segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
+    }
   };
-
-  // Detect and parse iTunes/App Store/Books URLs for all supported media types
-  const urlPattern = /(https?:\/\/(itunes|apps|books)\.apple\.com\/[^\s]+\/id(\d+))/i;
-  const urlMatch = rawTerm.match(urlPattern);
-  let urlParsed = false;
-  let lookupMode = false;
-  if (urlMatch) {
-    // Extract ID from URL
-    const id = urlMatch[3];
-    // Determine entity by URL path
-    let urlEntity = 'album';
-    const urlLower = urlMatch[1].toLowerCase();
-    if (urlLower.includes('/app/')) urlEntity = 'software';
-    else if (urlLower.includes('/movie/')) urlEntity = 'movie';
-    else if (urlLower.includes('/tv-season/') || urlLower.includes('/tvshow/')) urlEntity = 'tvSeason';
-    else if (urlLower.includes('/audiobook/')) urlEntity = 'audiobook';
-    else if (urlLower.includes('/book/') || urlLower.includes('/books/')) urlEntity = 'ebook';
-    // Replace searchTerm with just the ID
-    searchTerm = id;
-    entity = urlEntity;
-    attribute = '';
-    lookupMode = true;
-    // Remove the URL from the term
-    rawTerm = id;
-    urlParsed = true;
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeSegment);
+  
+  // Storefront is the leading two-letter path segment when present; codes Apple has no
+  // storefront for are skipped so the search stays in the chosen one
+  let country = null;
+  if (segments.length && /^[a-z]{2}$/i.test(segments[0])) {
+    const code = segments.shift().toLowerCase();
+    country = ItunesParams.COUNTRY_CODES.includes(code) ? code : null;
   }
+  const type = (segments[0] || '').toLowerCase();
+  const last = segments[segments.length - 1] || '';
   
-  // Map country code prefixes
-  const countryMap = {
-    'uk:': 'gb',
-    'us:': 'us',
-    'ca:': 'ca',
-    'au:': 'au',
-    'fr:': 'fr',
-    'de:': 'de',
-    'jp:': 'jp',
-    'it:': 'it',
-    'es:': 'es',
-    'nl:': 'nl',
-    'br:': 'br',
-    'mx:': 'mx',
-    'ru:': 'ru',
-    'se:': 'se',
-    'cn:': 'cn',
-    'kr:': 'kr',
-    'in:': 'in',
-    'za:': 'za',
-    'no:': 'no',
-    'dk:': 'dk',
-    'fi:': 'fi',
-    'pl:': 'pl',
-    'at:': 'at',
-    'ch:': 'ch',
-    'be:': 'be',
-    'pt:': 'pt',
-    'gr:': 'gr',
-    'tr:': 'tr',
-    'ar:': 'ar',
-    'cl:': 'cl',
-    'co:': 'co',
-    'pe:': 'pe',
-    'eg:': 'eg',
-    'th:': 'th',
-    'id:': 'id',
-    'my:': 'my',
-    'sg:': 'sg',
-    'ph:': 'ph',
-    'vn:': 'vn',
-    'tw:': 'tw',
-    'hk:': 'hk',
-    'nz:': 'nz',
-    'ie:': 'ie',
-    'cz:': 'cz',
-    'sk:': 'sk',
-    'hu:': 'hu',
-    'ro:': 'ro',
-    'bg:': 'bg',
-    'hr:': 'hr',
-    'si:': 'si',
-    'lt:': 'lt',
-    'lv:': 'lv',
-    'ee:': 'ee',
-    'is:': 'is',
-    'lu:': 'lu',
-    'mt:': 'mt',
-    'cy:': 'cy'
+  // Map the URL's content type segment to an entity
+  const typeEntityMap = {
+    'album': 'album',
+    'song': 'song',
+    'music-video': 'song',
+    'artist': 'album',
+    'app': 'software',
+    'book': 'ebook',
+    'books': 'ebook',
+    'audiobook': 'audiobook',
+    'movie': 'movie',
+    'tv-season': 'tvSeason',
+    'tvshow': 'tvSeason',
+    'tv-show': 'tvSeason',
+    'show': 'tvSeason',
+    'season': 'tvSeason',
+    'episode': 'tvSeason',
+    'podcast': 'podcast'
   };
+  let entity = typeEntityMap[type] || (host === 'podcasts' ? 'podcast' : 'album');
   
-  // Parse prefixes from search term only if not parsed from URL
-  if (searchTerm && !urlParsed) {
-    let lowerTerm = searchTerm.toLowerCase();
-    let entityFound = false;
-    // Check for country prefix
-    for (const countryPrefix in countryMap) {
-      if (lowerTerm.startsWith(countryPrefix)) {
-        countryCode = countryMap[countryPrefix];
-        searchTerm = searchTerm.replace(new RegExp('^' + countryPrefix, 'i'), '').trim();
-        lowerTerm = searchTerm.toLowerCase();
-        break;
-      }
-    }
-    // Check for entity prefix
-    for (const entityPrefix in entityMap) {
-      if (lowerTerm.startsWith(entityPrefix)) {
-        entity = entityMap[entityPrefix];
-        searchTerm = searchTerm.replace(new RegExp('^' + entityPrefix, 'i'), '').trim();
-        lowerTerm = searchTerm.toLowerCase();
-        entityFound = true;
-        break;
-      }
-    }
-    // Check for attribute prefix (independent of entity prefix)
-    for (const attrPrefix in attributeEntityMap) {
-      if (lowerTerm.startsWith(attrPrefix)) {
-        // If no entity was explicitly set, use the attribute's default entity
-        if (!entityFound) {
-          entity = attributeEntityMap[attrPrefix].entity;
-        }
-        attribute = attributeEntityMap[attrPrefix].attribute;
-        searchTerm = searchTerm.replace(new RegExp('^' + attrPrefix, 'i'), '').trim();
-        break;
-      }
-    }
+  if (host === 'tv') {
+    // tv.apple.com/{cc}/{show|movie}/{slug}/umc.cmc.xxx
+    const slug = segments.length > 2 ? segments[1] : '';
+    const term = slug.replace(/[-_]+/g, ' ').trim();
+    return term ? { id: null, term, entity, country, lookupParams: undefined } : null;
+  }
+  
+  // Song links on album pages carry the track id in ?i=
+  const trackId = url.searchParams.get('i');
+  if (trackId && /^\d+$/.test(trackId) && host !== 'podcasts') {
+    return { id: trackId, term: null, entity: 'song', country, lookupParams: undefined };
   }
   
-  // Store attribute globally for use in iTunes API calls
-  window.attribute = attribute;
+  // Legacy hosts use ".../id123", music.apple.com uses a bare trailing id
+  const idMatch = last.match(/^(?:id)?(\d+)$/i);
+  if (!idMatch) {
+    return null;
+  }
   
-  return { searchTerm, entity, countryCode, usePng, attribute, lookupMode };
+  // Artist links open the discography view; plain lookups list the artist's albums
+  // rather than the (artwork-less) artist row
+  const artistId = type === 'artist' ? idMatch[1] : undefined;
+  const lookupParams = artistId ? { entity: 'album', limit: 200 } : undefined;
+  return { id: idMatch[1], term: null, entity, country, lookupParams, artistId };
 }
 
 /**
- * Main application initialization function
- * Parses search parameters, sets up UI, and performs search
+ * Validates a GTIN (UPC-A / EAN-13) check digit
+ * @param {string} digits - 12 or 13 digit barcode
+ * @returns {boolean} True if the check digit matches
  */
-async function onload() {
-  const searchParams = new URLSearchParams(window.location.search);
-  const term = searchParams.get('term');
-  const country = searchParams.get('country');
+function isValidGtin(digits) {
+  const body = digits.slice(0, -1).split('').reverse();
+  const sum = body.reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+}
+
+/**
+ * Validates an ISBN-10 check digit
+ * @param {string} isbn - 10 characters, digits with an optional trailing X
+ * @returns {boolean} True if the check digit matches
+ */
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((acc, c, i) => acc + (c === 'X' ? 10 : Number(c)) * (10 - i), 0);
+  return sum % 11 === 0;
+}
+
+/**
+ * Recognises lookup identifiers: Apple IDs, UPC/EAN barcodes and ISBNs
+ * @param {string} term - Search term with country/entity prefixes already removed
+ * @param {string} entity - Entity chosen so far
+ * @returns {Object|null} { key, value, entity } for the Lookup API, or null for a text search
+ */
+function detectIdentifier(term, entity) {
+  let value = term.trim();
+  let forcedKey = null;
   
-  // Parse search term for prefixes
-  let searchTerm, entity, countryCode, usePng, attribute;
-  if (term) {
-    const parsed = parseSearchTerm(term);
-    searchTerm = parsed.searchTerm;
-    entity = parsed.entity;
-    countryCode = country || parsed.countryCode; // URL param takes precedence
-    usePng = parsed.usePng;
-    attribute = parsed.attribute;
-  } else {
-    searchTerm = '';
-    entity = 'album';
-    countryCode = country || 'us';
-    usePng = false;
-    attribute = '';
+  // Explicit isbn: / upc: prefixes
+  const keyMatch = value.match(/^(isbn|upc):\s*/i);
+  if (keyMatch) {
+    forcedKey = keyMatch[1].toLowerCase();
+    value = value.slice(keyMatch[0].length);
   }
   
-  window.usePng = usePng; // Store globally for modal use
-
-  // Use existing HTML structure - just update the search input if there's a term
-  const searchInput = document.getElementById('searchInput');
-  if (searchInput && term) {
-    searchInput.value = term;
+  const compact = value.replace(/[\s-]/g, '').toUpperCase();
+  const isBookEntity = entity === 'ebook' || entity === 'audiobook';
+  const bookEntity = isBookEntity ? entity : 'ebook';
+  
+  if (forcedKey === 'isbn' && /^(\d{9}[\dX]|\d{13})$/.test(compact)) {
+    return { key: 'isbn', value: compact, entity: bookEntity };
+  }
+  if (forcedKey === 'upc' && /^\d{12,13}$/.test(compact)) {
+    return { key: 'upc', value: compact, entity: 'album' };
   }
+  if (forcedKey) {
+    return null;
+  }
+  
+  // Hyphens and spaces are only allowed in ISBNs; other identifiers must be bare digits
+  const isBare = /^\d+$/.test(value);
   
+  // ISBN-13 (978/979 prefix) takes precedence over a generic EAN-13
+  if (/^97[89]\d{10}$/.test(compact) && isValidGtin(compact)) {
+    return { key: 'isbn', value: compact, entity: bookEntity };
+  }
+  // ISBN-10 is only assumed when written like one or searched as a book,
+  // since plenty of 10-digit Apple IDs happen to satisfy the checksum
+  if (isValidIsbn10(compact) && (!isBare || compact.endsWith('X') || isBookEntity)) {
+    return { key: 'isbn', value: compact, entity: bookEntity };
+  }
+  if (!isBare) {
+    return null;
+  }
+  if (/^\d{12,13}$/.test(compact) && isValidGtin(compact)) {
+    return { key: 'upc', value: compact, entity: 'album' };
+  }
+  if (/^\d{5,11}$/.test(compact)) {
+    return { key: 'id', value: compact, entity: 'album' };
+  }
+  return null;
+}
+
+/**
+ * Main application initialization function
+ * Sets up the UI, then runs the search in the page URL
+ */
+async function onload() {
   // Set current year in footer
   const footerYearEl = document.getElementById('footer-year');
   if (footerYearEl) {
@@ -419,6 +522,13 @@ async function onload() {
 
   // Initialize form controls
   initializeFormControls();
+  initializeBatchMode();
+  initializeFilenameSettings();
+  initializeKeyboardShortcuts();
+  initializeLibrary();
+  initializeSearchSyntax();
+  initializeSearchOptions();
+  initializeDeepLinks();
   
   // Add form submit handler directly here
   const searchForm = document.getElementById('searchForm');
@@ -429,7 +539,8 @@ async function onload() {
       const searchInput = document.getElementById('searchInput');
       const rawSearchTerm = searchInput.value.trim();
       
-      if (rawSearchTerm) {
+      // Unknown or conflicting prefixes hold the first submit back
+      if (rawSearchTerm && confirmSearchSyntax(searchInput)) {
         const submitBtn = document.getElementById('submitBtn');
         
         // Show loader immediately and track start time
@@ -457,10 +568,18 @@ async function onload() {
         setTimeout(async () => {
           // Parse the search term
           const parsedSearch = parseSearchTerm(rawSearchTerm);
+          addHistoryEntry(rawSearchTerm, parsedSearch);
           
           // Add URL parameter
           const newUrl = new URL(window.location);
           newUrl.searchParams.set('term', rawSearchTerm);
+          // Filters belong to the previous results; year:, type: and explicit: set new ones
+          clearFilterParams(newUrl);
+          setQueryFilterParams(newUrl, parsedSearch.filters);
+          // The term carries the options panel's choices as prefixes
+          clearSearchOptionParams(newUrl);
+          // A new search starts with nothing selected
+          clearViewParams(newUrl);
           window.history.pushState({}, '', newUrl);
           // Pass all parsed values, including lookupMode, to performSearch
           await performSearch(
@@ -483,13 +602,8 @@ async function onload() {
     });
   }
 
-  // If no search term, just show the form
-  if (term == null || term.length == 0) {
-    return;
-  }
-
-  // Perform search and display results
-  await performSearch(searchTerm, entity, countryCode, usePng);
+  // Fill the search box from the URL and run its search, if it has one
+  await searchFromLocation();
 }
 
 /**
@@ -509,6 +623,7 @@ function initializeFormControls() {
       if (searchInput) searchInput.value = "";
       if (searchInput) searchInput.focus();
       if (clearBtn && clearBtn.style) clearBtn.style.display = "none";
+      if (searchInput) searchInput.dispatchEvent(new Event('input'));
     });
     function toggleClearBtn() {
       if (searchInput && clearBtn && clearBtn.style) {
@@ -606,71 +721,48 @@ async function performSearch(searchTerm, entity, countryCode, usePng, loaderStar
     if (typeof arguments[4] === 'object' && arguments[4] !== null && arguments[4].lookupMode) {
       lookupMode = arguments[4].lookupMode;
     }
-    results = lookupMode ? await fetchResultsLookup(searchTerm, countryCode) : await fetchResults(searchTerm, entity, countryCode);
+    const lookupKey = lookupMode ? arguments[4].lookupKey : undefined;
+    const lookupParams = lookupMode ? arguments[4].lookupParams : undefined;
+    const parsed = typeof arguments[4] === 'object' && arguments[4] !== null ? arguments[4] : {};
+    const limit = parsed.limit || loadPageSize();
+    // Captured now: the search box is re-parsed as you type, which resets window.attribute
+    const attribute = typeof parsed.attribute === 'string' ? parsed.attribute : window.attribute;
+    const fetchStorefront = (country, page) => parsed.artistId
+      ? fetchArtistDiscography(parsed.artistId, country)
+      : lookupMode
+        ? fetchResultsLookup(searchTerm, country, lookupKey, lookupParams)
+        : fetchResults(searchTerm, entity, country, attribute, page, parsed.lang);
+    const onWait = (e, secondsLeft) => {
+      resultsDiv.innerHTML = `<div id="progress">${describeSearchError(e, secondsLeft)}</div>`;
+    };
+    
+    // Several storefronts (us,gb,jp: or all:) are queried in parallel and merged; the
+    // artist view only shows one
+    const countries = !parsed.artistId && parsed.countries && parsed.countries.length > 1 ? parsed.countries : null;
+    const fetchPage = (page, wait) => countries
+      ? fetchAcrossStorefronts(countries, country => fetchStorefront(country, page), wait)
+      : retryOnThrottle(() => fetchStorefront(countryCode, page), wait);
+    
+    window.currentSearch = null;
+    results = await fetchPage({ limit, offset: 0 }, onWait);
+    
+    // Searches are paged with offsets; lookups return everything at once
+    window.currentSearch = {
+      fetchPage,
+      limit,
+      offset: limit,
+      exhausted: lookupMode || pageLength(results) < limit,
+      loading: false
+    };
   } catch(e) {
-    error = e.message;
+    error = e;
   }
-/**
- * Fetches search results using iTunes Lookup API for direct ID searches
- * @param {string} id - The Apple ID to look up
- * @param {string} country - Country code
- * @returns {Promise<Object|null>} Lookup results or null on error
- */
-async function fetchResultsLookup(id, country) {
-  const urlSearchParams = new URLSearchParams();
-  urlSearchParams.set('id', id);
-  urlSearchParams.set('country', country);
-  let baseUrl = 'https://itunes.apple.com/lookup';
-  // Only add callback for localhost/JSONP
-  if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-    urlSearchParams.set('callback', 'handleApiResponse');
-    const url = `${baseUrl}?${urlSearchParams}`;
-    return new Promise((resolve, reject) => {
-      const callbackName = 'jsonp_callback_' + Math.round(100000 * Math.random());
-      const script = document.createElement('script');
-      script.src = url.replace('callback=handleApiResponse', `callback=${callbackName}`);
-      window[callbackName] = function(data) {
-        cleanup();
-        resolve(data);
-      };
-      script.onerror = function(event) {
-        console.error('JSONP script load failed:', event);
-        cleanup();
-        reject(new Error('JSONP request failed - script load error'));
-      };
-      function cleanup() {
-        if (window[callbackName]) {
-          delete window[callbackName];
-        }
-        if (script && script.parentNode) {
-          script.parentNode.removeChild(script);
-        }
-      }
-      document.body.appendChild(script);
-      setTimeout(() => {
-        if (window[callbackName]) {
-          cleanup();
-          reject(new Error('Request timeout'));
-        }
-      }, 10000);
-    });
-  } else {
-    // No callback for production fetch
-    const url = `${baseUrl}?${urlSearchParams}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Lookup API returned ${response.status}: ${response.statusText}`);
-    }
-    const jsonResult = await response.json();
-    return jsonResult;
-  }
-}
 
   // Ensure loader shows for at least 1000ms before hiding it
   await ensureMinimumLoaderDuration(loaderStartTime);
   
   if (results == null) {
-    resultsDiv.innerHTML = `<div id="error"><p>Sorry, some error occurred while loading the results...</p>${error !== null ? `<p>(${error})</p>` : ""}</div>`;
+    resultsDiv.innerHTML = `<div id="error"><p>${error ? describeSearchError(error) : 'Sorry, some error occurred while loading the results...'}</p>${error ? `<p>(${error.message})</p>` : ""}</div>`;
     // Hide loader for error case
     resetButtonState();
   } else {
@@ -679,207 +771,312 @@ async function fetchResultsLookup(id, country) {
       resultsDiv.innerHTML = `<div id="error">Sorry, no results...</div>`;
       // Hide loader for no results case
       resetButtonState();
-    } else {
-      displayResults(resultItems, entity, usePng);
-      // Reset button after successful results display
+    } else if (results.sections) {
+      displayArtistDiscography(results, usePng, countryCode);
       resetButtonState();
+    } else {
+      try {
+        displayResults(resultItems, entity, usePng, countryCode, results.storefronts);
+      } finally {
+        // Reset button after results display, even if rendering failed
+        resetButtonState();
+      }
     }
   }
 }
 
 /**
- * Displays search results in the results container
- * @param {Array} resultItems - Array of iTunes search results
- * @param {string} entity - Entity type
- * @param {boolean} usePng - Whether to use PNG format
+ * Runs the same search in several storefronts at once and merges the results
+ * Storefronts that fail are left out; the search only fails if every storefront does.
+ * @param {string[]} countries - Storefront codes
+ * @param {Function} fetchStorefront - async (country) => iTunes response for that storefront
+ * @param {Function} [onWait] - Passed to retryOnThrottle for each storefront
+ * @returns {Promise<Object>} { resultCount, results, storefronts, failedStorefronts, largestPage }
  */
-function displayResults(resultItems, entity, usePng) {
-  const resultsDiv = document.getElementById('results');
-  
-  resultsDiv.innerHTML = `${resultItems.map(result => {
-    const artworkUrl100 = result["artworkUrl100"];
-    
-    // Helper to replace and clean up the URL
-    function fixArtworkUrl(url, size) {
-      // Replace dimension and ensure -999
-      let newUrl = url.replace(/(\/)\d+x\d+(bb)?/, `$1${size}x${size}-999`);
-      // Ensure it ends with .jpg
-      if (!newUrl.endsWith('.jpg')) {
-        newUrl += '.jpg';
-      }
-      // If .png search parameter is used, convert .jpg to .png
-      if (usePng) {
-        newUrl = newUrl.replace(/\.jpg$/, '.png');
-      }
-      return newUrl;
+async function fetchAcrossStorefronts(countries, fetchStorefront, onWait) {
+  const settled = await Promise.allSettled(countries.map(country => retryOnThrottle(() => fetchStorefront(country), onWait)));
+
+  const sets = [];
+  const failedStorefronts = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled' && outcome.value && Array.isArray(outcome.value.results)) {
+      sets.push({ country: countries[i], results: outcome.value.results });
+    } else {
+      failedStorefronts.push(countries[i]);
+      console.warn(`Storefront ${countries[i]} failed:`, outcome.reason);
     }
-    
-    const artworkUrl300 = fixArtworkUrl(artworkUrl100, 300);
-    const artworkUrl600 = fixArtworkUrl(artworkUrl100, 600);
-    const artworkUrl1500 = fixArtworkUrl(artworkUrl100, 1500);
-    const artworkUrl3000 = fixArtworkUrl(artworkUrl100, 3000);
-    
-    // Generate high-resolution URL
-    let artworkUrl5000 = fixArtworkUrl(artworkUrl100, 10000);
-    artworkUrl5000 = artworkUrl5000.replace(
-      /^https:\/\/.*?\.mzstatic\.com\/image\/thumb\/(.*)\/.*\.(jpg|png)$/,
-      "https://a1.mzstatic.com/us/r1000/063/$1"
-    );
-    // Remove 'bb' only if it appears after the last / and before .jpg/.png
-    artworkUrl5000 = artworkUrl5000.replace(/\/([^\/]*?)bb(\.(jpg|png|webp|tif))$/, '/$1$2');
-    
-    // For ebooks, create special 1467x2200 format
-    let artworkUrl1467x2200 = '';
-    if (entity === 'ebook') {
-      artworkUrl1467x2200 = artworkUrl100.replace('100x100', '1467x2200');
-      artworkUrl1467x2200 = artworkUrl1467x2200.replace(/bb(?=\.jpg)/, '');
-      // Ensure -999 before .jpg
-      artworkUrl1467x2200 = artworkUrl1467x2200.replace(/(1467x2200)(?!-999)(?=\.jpg)/, '$1-999');
-      // If .jpg is missing, add -999.jpg
-      if (!artworkUrl1467x2200.endsWith('.jpg')) {
-        if (!/-999$/.test(artworkUrl1467x2200)) {
-          artworkUrl1467x2200 += '-999';
-        }
-        artworkUrl1467x2200 += '.jpg';
-      }
-      // Convert to .png if requested
-      if (usePng) {
-        artworkUrl1467x2200 = artworkUrl1467x2200.replace(/\.jpg$/, '.png');
+  });
+  if (sets.length === 0) {
+    throw settled[0].reason || new Error('Every storefront failed');
+  }
+
+  const results = mergeStorefrontResults(sets);
+  return {
+    resultCount: results.length,
+    results,
+    storefronts: sets.map(set => set.country),
+    failedStorefronts,
+    largestPage: Math.max(...sets.map(set => set.results.length))
+  };
+}
+
+/**
+ * Path identifying an artwork image regardless of CDN host and rendered size
+ * @param {string} url - artworkUrl100 or similar
+ * @returns {string} Path without the size segment
+ */
+function artworkIdentity(url) {
+  try {
+    return new URL(url).pathname.replace(/\/[^\/]*$/, '');
+  } catch (e) {
+    return url || '';
+  }
+}
+
+/**
+ * Merges per-storefront results, de-duplicated by collectionId/trackId
+ * Results keep the order of the first storefront that returned them. Each merged
+ * result gets `storefronts` (codes carrying it), `storefrontArtwork` (code -> artwork URL)
+ * and `artworkDiffers` (true when storefronts serve different images).
+ * @param {Array<{country: string, results: Object[]}>} sets - Results per storefront
+ * @returns {Object[]} Merged results
+ */
+function mergeStorefrontResults(sets) {
+  const merged = new Map();
+  sets.forEach(({ country, results }) => {
+    results.forEach(result => {
+      const key = `${result['wrapperType']}:${appleIdForResult(result)}`;
+      let entry = merged.get(key);
+      if (!entry) {
+        entry = Object.assign({}, result, { storefronts: [], storefrontArtwork: {}, artworkDiffers: false });
+        merged.set(key, entry);
       }
-    }
-    
-    // Get release year
-    let year = '';
-    if (result['releaseDate']) {
-      const d = new Date(result['releaseDate']);
-      if (!isNaN(d.getFullYear())) {
-        year = ` (${d.getFullYear()})`;
+      if (!entry.storefronts.includes(country)) {
+        entry.storefronts.push(country);
+        entry.storefrontArtwork[country] = result['artworkUrl100'] || result['artworkUrl60'] || '';
       }
+    });
+  });
+
+  merged.forEach(entry => {
+    entry.artworkDiffers = storefrontArtworkDiffers(entry);
+  });
+  return Array.from(merged.values());
+}
+
+/**
+ * Whether the storefronts of a merged result serve different images
+ * @param {Object} entry - Merged result from mergeStorefrontResults
+ * @returns {boolean} True when more than one distinct image is served
+ */
+function storefrontArtworkDiffers(entry) {
+  const images = new Set(Object.values(entry.storefrontArtwork).filter(Boolean).map(artworkIdentity));
+  return images.size > 1;
+}
+
+/**
+ * Returns the Apple ID that identifies a result (collection for albums/seasons, track otherwise)
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {number|undefined} Apple ID
+ */
+function appleIdForResult(result) {
+  if (result['wrapperType'] === 'collection') {
+    return result['collectionId'];
+  }
+  return result['trackId'] || result['collectionId'] || result['artistId'];
+}
+
+/**
+ * Renders the download size links for a card
+ * @param {Object} artwork - Resolved artwork from ArtworkResolver.resolveArtwork
+ * @returns {string} Link HTML
+ */
+function renderArtworkLinks(artwork) {
+  return artwork.links.map(link =>
+    `<a href="${link.url}" download data-size="${link.key}" data-label="${link.label}"><span>${link.label}</span></a>`
+  ).join('\n        ');
+}
+
+/**
+ * Renders which storefronts carry a merged result
+ * Storefronts whose artwork differs from the first one are marked, and clicking
+ * a storefront shows its artwork on the card.
+ * @param {Object} result - Merged result from mergeStorefrontResults
+ * @param {string[]} storefronts - Storefronts that were searched
+ * @returns {string} Badge HTML
+ */
+function renderStorefrontBadges(result, storefronts) {
+  const carried = result.storefronts || [];
+  const first = artworkIdentity(result.storefrontArtwork[carried[0]]);
+  const badges = storefronts.map(code => {
+    if (!carried.includes(code)) {
+      return `<span class="storefront missing" title="Not available in ${code.toUpperCase()}">${code.toUpperCase()}</span>`;
     }
-    
-    // Format display title
-    let displayTitle = result['collectionName'];
-    if (entity === 'album') {
-      if (/\bEP\b/i.test(result['collectionName'])) {
-        displayTitle = displayTitle.replace(/\s*-?\s*EP\b/i, '').trim();
-        displayTitle += ' [EP]';
-      } else if (/\bSingle\b/i.test(result['collectionName'])) {
-        displayTitle = displayTitle.replace(/\s*-?\s*Single\b/i, '').trim();
-        displayTitle += ' [Single]';
-      }
+    const differs = artworkIdentity(result.storefrontArtwork[code]) !== first;
+    const current = code === (result.shownStorefront || carried[0]);
+    return `<button type="button" class="storefront${differs ? ' differs' : ''}${current ? ' current' : ''}" data-storefront="${code}" title="Show ${code.toUpperCase()} artwork${differs ? ' (different image)' : ''}">${code.toUpperCase()}</button>`;
+  }).join('');
+  const flag = result.artworkDiffers ? '<span class="artwork-differs">Artwork differs</span>' : '';
+  return `<div class="storefronts">${badges}${flag}</div>`;
+}
+
+/**
+ * Switches a card to the artwork of another storefront when its badge is clicked
+ * The result in window.currentResults is replaced, so the modal and downloads follow.
+ * @param {Element} [root=document] - Element containing the cards to wire up
+ */
+function initializeStorefrontBadges(root) {
+  (root || document).querySelectorAll('.result .storefronts button[data-storefront]').forEach(button => {
+    button.addEventListener('click', function(e) {
+      e.stopPropagation();
+      const card = button.closest('.result');
+      const current = window.currentResults;
+      const result = current.items[card.dataset.index];
+      const code = button.dataset.storefront;
+      const artworkUrl = result.storefrontArtwork[code];
+      if (!artworkUrl) return;
+
+      const shown = Object.assign({}, result, { artworkUrl100: artworkUrl, shownStorefront: code });
+      current.items[card.dataset.index] = shown;
+
+      const artwork = ArtworkResolver.resolveArtwork(shown, current.entity, { format: current.usePng ? 'png' : 'jpg' });
+      card.dataset.hd = artwork.hd;
+      card.querySelector('.artwork img').src = artwork.thumbnail;
+      card.querySelector('.artwork-info').textContent = '';
+      card.querySelector('.links').innerHTML = renderArtworkLinks(artwork);
+      card.querySelectorAll('.storefronts button').forEach(b => b.classList.toggle('current', b === button));
+
+      addSaveAsDialogLogic(card);
+      probeArtwork(artwork.hd).then(probe => applyArtworkProbe(card, probe));
+    });
+  });
+}
+
+/**
+ * Release type of an album, from the "EP"/"Single" Apple puts in collection names
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {string} 'ep', 'single' or 'album'
+ */
+function releaseType(result) {
+  const name = result['collectionName'] || '';
+  if (/\bEP\b/i.test(name)) return 'ep';
+  if (/\bSingle\b/i.test(name)) return 'single';
+  return 'album';
+}
+
+/**
+ * Renders one result card
+ * @param {Object} result - iTunes search/lookup result
+ * @param {number} index - Position in window.currentResults.items
+ * @param {string} entity - Entity type
+ * @param {string} format - 'jpg' or 'png'
+ * @param {string[]} [storefronts] - Storefronts of a multi-storefront search, in query order
+ * @returns {string} Card HTML, or '' when the result has no artwork
+ */
+function renderResultCard(result, index, entity, format, storefronts) {
+  const artwork = ArtworkResolver.resolveArtwork(result, entity, { format });
+  if (!artwork) {
+    // Artist and other artwork-less lookup rows have nothing to show
+    return '';
+  }
+  
+  // Get release year
+  let year = '';
+  if (result['releaseDate']) {
+    const d = new Date(result['releaseDate']);
+    if (!isNaN(d.getFullYear())) {
+      year = ` (${d.getFullYear()})`;
     }
-    
-    const title = entity === 'album' ? `${result['artistName']} - ${displayTitle}${year}` : (result['collectionName'] || result['trackName']);
-    let viewUrl = result['collectionViewUrl'] || result['trackViewUrl'] || result['artistViewUrl'] || result['viewUrl'] || '#';
-    
-    // Generate download links based on entity type
-    let linksHtml = '';
-    if (entity === 'audiobook') {
-      let artworkUrl3000Audiobook = artworkUrl3000;
-      if (usePng) {
-        artworkUrl3000Audiobook = artworkUrl3000Audiobook.replace(/\.jpg$/, '.png');
-      }
-      linksHtml = `
-        <a href="${artworkUrl3000Audiobook}" download><span>3000</span></a>
-        <a href="${artworkUrl5000}" download><span>HD</span></a>
-      `;
-    } else if (entity === 'ebook') {
-      let artworkUrl1467x2200Ebook = artworkUrl1467x2200;
-      if (usePng) {
-        artworkUrl1467x2200Ebook = artworkUrl1467x2200Ebook.replace(/\.jpg$/, '.png');
-      }
-      linksHtml = `
-        <a href="${artworkUrl1467x2200Ebook}" download><span>2200</span></a>
-        <a href="${artworkUrl5000}" download><span>HD</span></a>
-      `;
-    } else if (entity === 'movie') {
-      // For movies, generate special 10000x10000-999.jpg URL format
-      let movieHdUrl = artworkUrl100.replace(/100x100/, '10000x10000-999');
-      // Remove 'bb' only if it appears before the file extension
-      movieHdUrl = movieHdUrl.replace(/bb(\.(jpg|png|webp|tif))$/, '$1');
-      // Ensure .jpg extension for movies - add it if missing
-      if (!movieHdUrl.endsWith('.jpg')) {
-        // First remove any existing extension, then add .jpg
-        movieHdUrl = movieHdUrl.replace(/\.(png|webp|tif)$/, '');
-        if (!movieHdUrl.endsWith('.jpg')) {
-          movieHdUrl += '.jpg';
-        }
-      }
-      // Convert to .png if requested
-      if (usePng) {
-        movieHdUrl = movieHdUrl.replace(/\.jpg$/, '.png');
-      }
-      linksHtml = `
-        <a href="${movieHdUrl}" download><span>HD</span></a>
-      `;
-    } else if (entity === 'tvSeason') {
-      // For TV shows, use the same HD URL generation as movies
-      let tvHdUrl = artworkUrl100.replace(/100x100/, '10000x10000-999');
-      // Remove 'bb' only if it appears before the file extension
-      tvHdUrl = tvHdUrl.replace(/bb(\.(jpg|png|webp|tif))$/, '$1');
-      // Ensure .jpg extension for TV shows - add it if missing
-      if (!tvHdUrl.endsWith('.jpg')) {
-        // First remove any existing extension, then add .jpg
-        tvHdUrl = tvHdUrl.replace(/\.(png|webp|tif)$/, '');
-        if (!tvHdUrl.endsWith('.jpg')) {
-          tvHdUrl += '.jpg';
-        }
-      }
-      // Convert to .png if requested
-      if (usePng) {
-        tvHdUrl = tvHdUrl.replace(/\.jpg$/, '.png');
-      }
-      linksHtml = `
-        <a href="${tvHdUrl}" download><span>HD</span></a>
-      `;
-    } else if (entity === 'software') {
-      // For iOS apps, use the same HD URL generation as music
-      let appHdUrl = fixArtworkUrl(artworkUrl100, 10000);
-      appHdUrl = appHdUrl.replace(
-        /^https:\/\/.*?\.mzstatic\.com\/image\/thumb\/(.*)\/.*\.(jpg|png)$/,
-        "https://a1.mzstatic.com/us/r1000/063/$1"
-      );
-      // Remove 'bb' only if it appears after the last / and before .jpg/.png
-      appHdUrl = appHdUrl.replace(/\/([^\/]*?)bb(\.(jpg|png|webp|tif))$/, '/$1$2');
-      // Convert to .png if requested
-      if (usePng) {
-        appHdUrl = appHdUrl.replace(/\.jpg$/, '.png');
-      }
-      linksHtml = `
-        <a href="${appHdUrl}" download><span>HD</span></a>
-      `;
-    } else {
-      linksHtml = `
-        <a href="${artworkUrl600}" download><span>600</span></a>
-        <a href="${artworkUrl1500}" download><span>1500</span></a>
-        <a href="${artworkUrl3000}" download><span>3000</span></a>
-        <a href="${artworkUrl5000}" download><span>HD</span></a>
-      `;
+  }
+  
+  // Format display title
+  let displayTitle = result['collectionName'];
+  if (entity === 'album') {
+    const type = releaseType(result);
+    if (type === 'ep') {
+      displayTitle = displayTitle.replace(/\s*-?\s*EP\b/i, '').trim();
+      displayTitle += ' [EP]';
+    } else if (type === 'single') {
+      displayTitle = displayTitle.replace(/\s*-?\s*Single\b/i, '').trim();
+      displayTitle += ' [Single]';
     }
-    
-    // Determine CSS class - TV shows use same layout as movies but different styling
-    let cssClass = '';
-    if (entity === 'audiobook') cssClass = ' audiobook';
-    else if (entity === 'ebook') cssClass = ' ebook';
-    else if (entity === 'movie') cssClass = ' movie';
-    else if (entity === 'tvSeason') cssClass = ' tv';
-    else if (entity === 'software') cssClass = ' app';
-    
-    return `<div class="result${cssClass}">
+  }
+  
+  const title = entity === 'album' ? `${result['artistName']} - ${displayTitle}${year}` : (result['collectionName'] || result['trackName']);
+  let viewUrl = result['collectionViewUrl'] || result['trackViewUrl'] || result['artistViewUrl'] || result['viewUrl'] || '#';
+  
+  // Generate download links based on entity type
+  const linksHtml = renderArtworkLinks(artwork);
+  const storefrontsHtml = storefronts && storefronts.length > 1 ? renderStorefrontBadges(result, storefronts) : '';
+  
+  // Determine CSS class - TV shows use same layout as movies but different styling
+  let cssClass = '';
+  if (entity === 'audiobook') cssClass = ' audiobook';
+  else if (entity === 'ebook') cssClass = ' ebook';
+  else if (entity === 'movie') cssClass = ' movie';
+  else if (entity === 'tvSeason') cssClass = ' tv';
+  else if (entity === 'software') cssClass = ' app';
+  
+  return `<div class="result${cssClass}" data-index="${index}" data-hd="${artwork.hd}" tabindex="-1">
       <div class="artwork">
-        <img src="${artworkUrl300}" />
+        <img src="${artwork.thumbnail}" />
+        <span class="artwork-info"></span>
+        ${renderFavouriteButton(result)}
       </div>
       <div class="links">
         ${linksHtml}
       </div>
+      ${storefrontsHtml}
+      ${renderScreenshotCounts(result, entity)}
       <h2><a href="${viewUrl}" target="_blank">${title}</a></h2>
+      ${renderArtistLink(result, entity)}
     </div>`;
-  }).join('')}`;
+}
+
+/**
+ * Wires up selection, modal, downloads, storefront badges, stars, artist links, screenshots and probing for cards
+ * @param {Element} root - Element containing the new cards
+ */
+function initializeResultCards(root) {
+  handleCardSelection(root);
+  initializeArtworkModal(root);
+  addSaveAsDialogLogic(root);
+  initializeStorefrontBadges(root);
+  initializeFavouriteButtons(root);
+  initializeArtistLinks(root);
+  initializeScreenshotCounts(root);
+  observeArtworkProbes(root);
+}
+
+/**
+ * Displays search results in the results container
+ * @param {Array} resultItems - Array of iTunes search results
+ * @param {string} entity - Entity type
+ * @param {boolean} usePng - Whether to use PNG format
+ * @param {string} [countryCode] - Storefront the results came from
+ * @param {string[]} [storefronts] - Storefronts of a multi-storefront search, in query order
+ */
+function displayResults(resultItems, entity, usePng, countryCode, storefronts) {
+  const resultsDiv = document.getElementById('results');
+  
+  const format = usePng ? 'png' : 'jpg';
+  
+  // Keep the rendered set around so the modal resolves the same artwork as the cards
+  window.currentResults = { items: resultItems, entity, usePng, country: countryCode, storefronts };
+  
+  resultsDiv.innerHTML = resultItems.map((result, index) => renderResultCard(result, index, entity, format, storefronts)).join('');
   
   // Initialize post-render functionality
-  handleCardSelection();
-  initializeArtworkModal();
-  addSaveAsDialogLogic();
+  initializeResultCards(resultsDiv);
+  renderPagingControls(resultsDiv);
+  // The toolbar is optional; a bad filter must not leave the results half set up
+  try {
+    renderResultFilters(resultsDiv);
+  } catch (e) {
+    console.error('Could not render result filters:', e);
+  }
+  groupResultVariants(resultsDiv);
+  restoreViewParams(resultsDiv);
   
   // Hide loader in button after everything is rendered
   const submitBtn = document.getElementById('submitBtn');
@@ -894,121 +1091,180 @@ function displayResults(resultItems, entity, usePng) {
 
 /**
  * Initialize artwork modal functionality
+ * @param {Element} [root=document] - Element containing the cards to wire up
  */
-function initializeArtworkModal() {
-  document.querySelectorAll('.result .artwork img').forEach(function(img) {
+function initializeArtworkModal(root) {
+  (root || document).querySelectorAll('.result .artwork img').forEach(function(img) {
     img.style.cursor = 'pointer';
     img.addEventListener('click', function(e) {
       e.stopPropagation();
-      
-      // Find parent card and extract info
-      const card = img.closest('.result');
-      const titleLink = card.querySelector('h2 a');
-      const title = titleLink ? titleLink.textContent : '';
-      const viewUrl = titleLink ? titleLink.getAttribute('href') : '#';
-      
-      // Check if this is a movie, TV, or app card
-      const isMovie = card.classList.contains('movie');
-      const isTv = card.classList.contains('tv');
-      const isApp = card.classList.contains('app');
-      
-      // Get the original artworkUrl100 from the card's image src
-      let artworkUrl100 = img.src.replace(/(\d+)x\1(-999)?.*$/, '100x100');
-      
-      // Generate large image URL - use special format for movies, TV, and apps
-      let largeSrc = '';
-      if (isMovie || isTv) {
-        // For movies and TV shows, use the special 10000x10000-999.jpg format
-        largeSrc = artworkUrl100.replace(/100x100/, '10000x10000-999');
-        // Remove 'bb' only if it appears before the file extension
-        largeSrc = largeSrc.replace(/bb(\.(jpg|png|webp|tif))$/, '$1');
-        // Ensure .jpg extension for movies - add it if missing
-        if (!largeSrc.endsWith('.jpg')) {
-          // First remove any existing extension, then add .jpg
-          largeSrc = largeSrc.replace(/\.(png|webp|tif)$/, '');
-          if (!largeSrc.endsWith('.jpg')) {
-            largeSrc += '.jpg';
-          }
-        }
-        // Convert to .png if requested
-        if (window.usePng) {
-          largeSrc = largeSrc.replace(/\.jpg$/, '.png');
-        }
-      } else if (isApp) {
-        // For iOS apps, use the same HD URL generation as music
-        largeSrc = artworkUrl100.replace(/100x100/, '10000x10000-999.jpg');
-        largeSrc = largeSrc.replace(
-          /^https:\/\/.*?\.mzstatic\.com\/image\/thumb\/(.*)\/.*\.(jpg|png)$/,
-          "https://a1.mzstatic.com/us/r1000/063/$1"
-        );
-        // Remove 'bb' only if it appears after the last / and before .jpg/.png
-        largeSrc = largeSrc.replace(/\/([^\/]*?)bb(\.(jpg|png|webp|tif))$/, '/$1$2');
-        // Convert to .png if requested
-        if (window.usePng) {
-          largeSrc = largeSrc.replace(/\.jpg$/, '.png');
-        }
-      } else {
-        // For non-movies, use the existing logic
-        largeSrc = img.src.replace(/300x300|300x300-999|300x300\.jpg|300x300\.png/, '10000x10000-999.jpg');
-        // Remove any duplicate -999.jpg at the end
-        largeSrc = largeSrc.replace(/(-999\.jpg)+$/, '-999.jpg');
-        // If .png search parameter is used, ensure .png extension
-        if (window.usePng) {
-          largeSrc = largeSrc.replace(/\.jpg(-999)?\.png$/, '.png').replace(/\.jpg$/, '.png');
-        }
-      }
-      
-      // Get artwork size buttons HTML from card
-      const linksDiv = card.querySelector('.links');
-      const linksHtml = linksDiv ? linksDiv.innerHTML : '';
-      
-      const modal = document.getElementById('artworkModal');
-      
-      // Add content type classes to modal container for styling
-      modal.classList.remove('is-tv', 'is-movie', 'is-app');
-      if (isTv) {
-        modal.classList.add('is-tv');
-      } else if (isMovie) {
-        modal.classList.add('is-movie');
-      } else if (isApp) {
-        modal.classList.add('is-app');
-      }
-      
-      modal.innerHTML = `<div class="modal-content">
-        <button class="modal-close" title="Close">&#10006;</button>
-        <img class="modal-artwork" src="${largeSrc}" alt="Album Art" />
-        <div class="modal-links">${linksHtml}</div>
-        <h2 class="modal-title"><a href="${viewUrl}" target="_blank">${title}</a></h2>
-      </div>`;
-      modal.style.display = 'flex';
-      
-      // Close modal on click outside or close button
-      modal.onclick = function(ev) {
-        if (ev.target === modal || ev.target.classList.contains('modal-close')) {
-          modal.style.display = 'none';
-          modal.innerHTML = '';
-          modal.classList.remove('is-tv', 'is-movie', 'is-app'); // Clear all content type classes
-        }
-      };
-      
-      // Add Save As dialog logic to modal artwork size buttons
-      modal.querySelectorAll('.modal-links a').forEach(function(link) {
-        // Content-specific hover styles are now handled by CSS classes
-        
-        link.addEventListener('click', function(e) {
-          if (shouldOpenInNewTab()) {
-            // On mobile/tablet devices, open in new tab
-            link.setAttribute('target', '_blank');
-            return;
-          }
-          e.preventDefault();
-          downloadFile(link.getAttribute('href'), link.textContent);
-        });
+      openArtworkModal(img.closest('.result'));
+    });
+  });
+}
+
+/**
+ * Opens the artwork modal for a result card
+ * @param {Element} card - Result card
+ */
+function openArtworkModal(card) {
+  // Extract info from the card
+  const img = card.querySelector('.artwork img');
+  const titleLink = card.querySelector('h2 a');
+  const title = titleLink ? titleLink.textContent : '';
+  const viewUrl = titleLink ? titleLink.getAttribute('href') : '#';
+  
+  // Check if this is a movie, TV, or app card
+  const isMovie = card.classList.contains('movie');
+  const isTv = card.classList.contains('tv');
+  const isApp = card.classList.contains('app');
+  
+  // Resolve the modal image from the same result the card was rendered from
+  const current = window.currentResults;
+  const result = current ? current.items[card.dataset.index] : null;
+  const artwork = result ? ArtworkResolver.resolveArtwork(result, current.entity, { format: current.usePng ? 'png' : 'jpg' }) : null;
+  const largeSrc = artwork ? artwork.preview : img.src;
+  
+  // Get artwork size buttons HTML from card
+  const linksDiv = card.querySelector('.links');
+  const linksHtml = linksDiv ? linksDiv.innerHTML : '';
+  
+  const modal = document.getElementById('artworkModal');
+  modal.dataset.index = card.dataset.index;
+  
+  // Add content type classes to modal container for styling
+  modal.classList.remove('is-tv', 'is-movie', 'is-app');
+  if (isTv) {
+    modal.classList.add('is-tv');
+  } else if (isMovie) {
+    modal.classList.add('is-movie');
+  } else if (isApp) {
+    modal.classList.add('is-app');
+  }
+  
+  modal.innerHTML = `<div class="modal-content" role="dialog" aria-modal="true" aria-label="${title.replace(/"/g, '&quot;')}">
+    <button class="modal-close" title="Close (Esc)">&#10006;</button>
+    ${renderAlbumTracksTabs(result, current && current.entity)}${renderAppScreenshotsTabs(result, current && current.entity)}
+    <div class="modal-viewer">
+      <img class="modal-artwork" alt="Album Art" draggable="false" />
+      <button type="button" class="viewer-nav prev" title="Previous (&larr;)" aria-label="Previous artwork">&#8249;</button>
+      <button type="button" class="viewer-nav next" title="Next (&rarr;)" aria-label="Next artwork">&#8250;</button>
+      <div class="viewer-progress"><span class="viewer-progress-bar"></span><span class="viewer-progress-text">Loading full size...</span></div>
+    </div>
+    <div class="viewer-toolbar">
+      <button type="button" data-zoom="fit" title="Fit (0)">Fit</button>
+      <button type="button" data-zoom="actual" title="Actual pixels">1:1</button>
+      <span class="viewer-readout"></span>
+    </div>
+    <div class="modal-links">${linksHtml}</div>
+    <div class="artwork-info"></div>
+    <h2 class="modal-title">${result ? renderFavouriteButton(result) : ''}<a href="${viewUrl}" target="_blank">${title}</a></h2>
+  </div>`;
+  modal.style.display = 'flex';
+  
+  // Thumbnail straight away, then the large image with progress
+  const content = modal.querySelector('.modal-content');
+  initializeArtworkViewer(content, { thumbnail: img.src, full: largeSrc });
+  initializeAlbumTracks(content, result, current);
+  initializeAppScreenshots(content, result, current);
+  
+  // Show the source resolution once probed (usually already done for the card)
+  if (artwork) {
+    probeArtwork(artwork.hd).then(probe => {
+      if (content.isConnected) applyArtworkProbe(content, probe);
+    });
+  }
+  
+  const star = modal.querySelector('.modal-title .favourite-toggle');
+  if (star) {
+    star.addEventListener('click', function() {
+      toggleFavourite(result, current.entity, current.country).catch(error => {
+        console.warn('Could not update favourites:', error);
       });
     });
+  }
+  
+  // Close modal on click outside or close button
+  modal.onclick = function(ev) {
+    if (ev.target === modal || ev.target.classList.contains('modal-close')) {
+      closeArtworkModal();
+    }
+  };
+  
+  // Add Save As dialog logic to modal artwork size buttons
+  modal.querySelectorAll('.modal-links a').forEach(function(link) {
+    // Content-specific hover styles are now handled by CSS classes
+    
+    link.addEventListener('click', function(e) {
+      if (shouldOpenInNewTab()) {
+        // On mobile/tablet devices, open in new tab
+        link.setAttribute('target', '_blank');
+        return;
+      }
+      e.preventDefault();
+      downloadFile(link.getAttribute('href'), link.dataset.label || link.textContent, result);
+    });
+  });
+  
+  updateViewParams();
+}
+
+/**
+ * Closes the artwork modal
+ */
+function closeArtworkModal() {
+  const modal = document.getElementById('artworkModal');
+  destroyArtworkViewer();
+  stopTrackPreview();
+  modal.style.display = 'none';
+  modal.innerHTML = '';
+  delete modal.dataset.index;
+  modal.classList.remove('is-tv', 'is-movie', 'is-app'); // Clear all content type classes
+  updateViewParams();
+}
+
+/**
+ * Renders the modal's Artwork tab and one more tab with its (empty) panel
+ * @param {string} name - Panel name ('tracks', 'screenshots'); the panel gets the class modal-{name}
+ * @param {string} label - Tab label
+ * @returns {string} Tabs and panel HTML
+ */
+function renderModalTabs(name, label) {
+  return `<div class="modal-tabs" role="tablist">
+      <button type="button" role="tab" data-tab="artwork" aria-selected="true">Artwork</button>
+      <button type="button" role="tab" data-tab="${name}" aria-selected="false">${label}</button>
+    </div>
+    <div class="modal-panel modal-${name}" role="tabpanel" aria-label="${label}" hidden></div>`;
+}
+
+/**
+ * Switches between the modal's tabs; a panel takes the place of the viewer and size buttons
+ * @param {Element} content - .modal-content rendered with renderModalTabs
+ * @param {Function} onSelect - Called with the tab name and the panel after each switch
+ */
+function initializeModalTabs(content, onSelect) {
+  const tabs = content.querySelector('.modal-tabs');
+  const panel = content.querySelector('.modal-panel');
+  tabs.addEventListener('click', function(e) {
+    const tab = e.target.closest('[data-tab]');
+    if (!tab) return;
+    const showPanel = tab.dataset.tab !== 'artwork';
+    tabs.querySelectorAll('[data-tab]').forEach(button => button.setAttribute('aria-selected', String(button === tab)));
+    content.classList.toggle('showing-panel', showPanel);
+    panel.hidden = !showPanel;
+    onSelect(tab.dataset.tab, panel);
   });
 }
 
+/**
+ * Whether the artwork modal is showing
+ * @returns {boolean} True when open
+ */
+function isArtworkModalOpen() {
+  const modal = document.getElementById('artworkModal');
+  return Boolean(modal && modal.style.display === 'flex');
+}
+
 /**
  * Check if device should use "open in new tab" instead of Save As dialog
  * @returns {boolean} True if device should open in new tab
@@ -1041,9 +1297,10 @@ function shouldOpenInNewTab() {
 
 /**
  * Add Save As dialog functionality to download links
+ * @param {Element} [root=document] - Card or element containing the links to wire up
  */
-function addSaveAsDialogLogic() {
-  document.querySelectorAll('.result .links a[download]').forEach(function(link) {
+function addSaveAsDialogLogic(root) {
+  (root || document).querySelectorAll('.result .links a[download]').forEach(function(link) {
     link.addEventListener('click', function(e) {
       if (shouldOpenInNewTab()) {
         // On mobile/tablet devices, open in new tab
@@ -1051,54 +1308,112 @@ function addSaveAsDialogLogic() {
         return;
       }
       e.preventDefault();
-      downloadFile(link.getAttribute('href'), link.textContent);
+      const card = link.closest('.result');
+      const current = window.currentResults;
+      downloadFile(link.getAttribute('href'), link.dataset.label || link.textContent, current && card ? current.items[card.dataset.index] : null);
     });
   });
 }
 
+/**
+ * Picks a file extension from a downloaded image
+ * @param {Blob} blob - Image data
+ * @param {string} url - Source URL
+ * @returns {string} Extension without the dot
+ */
+function extensionForImage(blob, url) {
+  if (blob.type === 'image/png') return 'png';
+  if (blob.type === 'image/jpeg') return 'jpg';
+  if (blob.type === 'image/tiff') return 'tif';
+  const match = url.match(/\.(jpg|jpeg|png|tif|tiff|webp)$/i);
+  return match ? match[1].toLowerCase() : 'jpg';
+}
+
+/**
+ * Returns the URL to download an artwork image through
+ * In production images go through /api/artwork, which sends them as an attachment
+ * without CORS issues; local development has no API routes, so the image is used as is.
+ * @param {string} url - mzstatic.com image URL
+ * @param {string} [filename] - Download filename suggested to the proxy
+ * @returns {string} URL to fetch
+ */
+function artworkDownloadUrl(url, filename) {
+  const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+  if (isLocalhost) {
+    return url;
+  }
+  const params = new URLSearchParams({ url });
+  if (filename) {
+    params.set('filename', filename);
+  }
+  return `/api/artwork?${params}`;
+}
+
 /**
  * Handle file download with Save As dialog
  * @param {string} url - File URL to download
- * @param {string} linkText - Text content of the link (for fallback filename)
+ * @param {string} linkText - Size label of the link (used in the filename)
+ * @param {Object} [result] - Result the artwork belongs to, used to name the file
  */
-function downloadFile(url, linkText) {
-  // Extract filename from URL
-  let filename = url.split('/').pop().split('?')[0];
-  // Fallback: use link text if filename is empty
-  if (!filename || filename.length < 5) {
-    filename = linkText + (url.endsWith('.png') ? '.png' : '.jpg');
-  }
-  
-  fetch(url, {mode: 'cors'})
-    .then(response => response.blob())
+function downloadFile(url, linkText, result) {
+  const current = window.currentResults || {};
+  const nameFor = ext => result
+    ? filenameForResult(result, { entity: current.entity, country: current.country, size: linkText, ext })
+    : `${sanitizeFilename(linkText)}.${ext}`;
+
+  // The proxy corrects the extension once it knows the image type
+  fetch(artworkDownloadUrl(url, nameFor(current.usePng ? 'png' : 'jpg')))
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.blob();
+    })
     .then(blob => {
       const blobUrl = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.style.display = 'none';
       a.href = blobUrl;
-      a.download = filename;
+      a.download = nameFor(extensionForImage(blob, url));
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(blobUrl);
       document.body.removeChild(a);
     })
-    .catch(() => {
+    .catch(error => {
+      // Last resort: let the browser show the image so it can still be saved by hand
+      console.warn('Artwork download failed, opening image instead:', error);
       window.open(url, '_blank');
     });
 }
 
 /**
  * Handle album card selection highlighting
+ * @param {Element} [root=document] - Element containing the cards to wire up
  */
-function handleCardSelection() {
-  document.querySelectorAll('.result').forEach(card => {
+function handleCardSelection(root) {
+  (root || document).querySelectorAll('.result').forEach(card => {
     card.addEventListener('click', function() {
-      document.querySelectorAll('.result.selected').forEach(sel => sel.classList.remove('selected'));
-      card.classList.add('selected');
+      selectResultCard(card);
     });
   });
 }
 
+/**
+ * Marks a card as the selected one
+ * @param {Element} card - Result card
+ * @param {boolean} [focus] - Also focus and scroll to the card (keyboard navigation)
+ */
+function selectResultCard(card, focus) {
+  document.querySelectorAll('.result.selected').forEach(sel => sel.classList.remove('selected'));
+  card.classList.add('selected');
+  if (focus) {
+    card.focus({ preventScroll: true });
+    card.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+  updateViewParams();
+}
+
 // Initialize app when DOM is loaded
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', onload);
@@ -0,0 +1,206 @@
+/* Artist Discography
+   - In-app artist view for artistid: searches, artist links and the Discography link on music cards
+   - Looks up the artist's albums, songs and music videos in one storefront
+   - Groups the catalogue into albums, EPs, singles, compilations and music videos
+*/
+
+// Discography sections in display order: [key, heading]
+const DISCOGRAPHY_SECTIONS = [
+  ['album', 'Albums'],
+  ['ep', 'EPs'],
+  ['single', 'Singles'],
+  ['compilation', 'Compilations'],
+  ['musicVideo', 'Music Videos']
+];
+
+// Lookup entities making up the catalogue; Apple returns at most ItunesParams.MAX_LIMIT rows of each
+const DISCOGRAPHY_ENTITIES = ['album', 'song', 'musicVideo'];
+
+/**
+ * Looks up an artist's catalogue
+ * @param {string} artistId - Apple artist ID
+ * @param {string} country - Storefront code
+ * @returns {Promise<Object>} { resultCount, results, artist, sections } where results are the
+ *   releases in section order, artist is the artist row (or null) and sections maps each
+ *   DISCOGRAPHY_SECTIONS key to its releases
+ */
+async function fetchArtistDiscography(artistId, country) {
+  const responses = await Promise.all(DISCOGRAPHY_ENTITIES.map(entity =>
+    fetchResultsLookup(artistId, country, 'id', { entity, limit: ItunesParams.MAX_LIMIT })
+  ));
+  const rows = responses.map(response => (response && Array.isArray(response.results) ? response.results : []));
+  const [albums, songs, videos] = rows;
+
+  const sections = groupDiscography(Number(artistId), albums, songs, videos);
+  const results = DISCOGRAPHY_SECTIONS.reduce((all, [key]) => all.concat(sections[key]), []);
+  const artist = rows.reduce((all, list) => all.concat(list), []).find(row => row['wrapperType'] === 'artist') || null;
+  return { resultCount: results.length, results, artist, sections };
+}
+
+/**
+ * Sorts an artist's releases into the discography sections, newest first
+ * Songs whose album the album lookup left out (various artists compilations,
+ * soundtracks) add that album to the compilations.
+ * @param {number} artistId - Apple artist ID
+ * @param {Object[]} albums - Rows of the entity=album lookup
+ * @param {Object[]} songs - Rows of the entity=song lookup
+ * @param {Object[]} videos - Rows of the entity=musicVideo lookup
+ * @returns {Object} DISCOGRAPHY_SECTIONS key -> releases
+ */
+function groupDiscography(artistId, albums, songs, videos) {
+  const sections = {};
+  DISCOGRAPHY_SECTIONS.forEach(([key]) => {
+    sections[key] = [];
+  });
+
+  const seen = new Set();
+  albums.filter(row => row['wrapperType'] === 'collection').forEach(album => {
+    seen.add(album['collectionId']);
+    sections[discographySection(album, artistId)].push(album);
+  });
+  songs.filter(row => row['wrapperType'] === 'track' && row['collectionId']).forEach(song => {
+    if (seen.has(song['collectionId'])) return;
+    seen.add(song['collectionId']);
+    sections.compilation.push(collectionFromTrack(song));
+  });
+  sections.musicVideo = videos.filter(row => row['wrapperType'] === 'track' && row['kind'] === 'music-video');
+
+  const released = result => Date.parse(result['releaseDate']) || 0;
+  Object.keys(sections).forEach(key => sections[key].sort((a, b) => released(b) - released(a)));
+  return sections;
+}
+
+/**
+ * Discography section of an album row
+ * @param {Object} album - Collection row from a lookup
+ * @param {number} artistId - Apple ID of the artist being shown
+ * @returns {string} 'album', 'ep', 'single' or 'compilation'
+ */
+function discographySection(album, artistId) {
+  if (album['collectionType'] === 'Compilation' || (album['artistId'] && album['artistId'] !== artistId)) {
+    return 'compilation';
+  }
+  return releaseType(album);
+}
+
+/**
+ * Album of a song row, shaped like a collection row so it renders as an album card
+ * @param {Object} track - Song row from a lookup
+ * @returns {Object} Collection result
+ */
+function collectionFromTrack(track) {
+  return {
+    wrapperType: 'collection',
+    collectionType: 'Compilation',
+    artistId: track['collectionArtistId'] || track['artistId'],
+    artistName: track['collectionArtistName'] || track['artistName'],
+    collectionId: track['collectionId'],
+    collectionName: track['collectionName'],
+    collectionCensoredName: track['collectionCensoredName'],
+    collectionViewUrl: track['collectionViewUrl'],
+    collectionExplicitness: track['collectionExplicitness'],
+    artworkUrl60: track['artworkUrl60'],
+    artworkUrl100: track['artworkUrl100'],
+    trackCount: track['trackCount'],
+    releaseDate: track['releaseDate'],
+    primaryGenreName: track['primaryGenreName'],
+    country: track['country']
+  };
+}
+
+/**
+ * Shows an artist's catalogue in the results container
+ * Cards are the same as displayResults() renders, so the viewer, downloads,
+ * stars and keyboard shortcuts work as usual.
+ * @param {Object} discography - Result of fetchArtistDiscography
+ * @param {boolean} usePng - Whether to use PNG format
+ * @param {string} countryCode - Storefront the catalogue came from
+ */
+function displayArtistDiscography(discography, usePng, countryCode) {
+  const resultsDiv = document.getElementById('results');
+  const format = usePng ? 'png' : 'jpg';
+
+  window.currentResults = { items: discography.results, entity: 'album', usePng, country: countryCode };
+
+  let index = 0;
+  const sectionsHtml = DISCOGRAPHY_SECTIONS
+    .map(([key, heading]) => {
+      const releases = discography.sections[key];
+      // Music videos have no album name; render them like songs
+      const entity = key === 'musicVideo' ? 'song' : 'album';
+      const cards = releases.map(result => renderResultCard(result, index++, entity, format)).join('');
+      return releases.length === 0 ? '' : `<section class="discography-section" data-section="${key}">
+        <h3>${heading} <span class="discography-count">${releases.length}</span></h3>
+        ${cards}
+      </section>`;
+    })
+    .join('');
+
+  const artist = discography.artist;
+  const first = discography.results[0];
+  const name = artist ? artist['artistName'] : first['artistName'];
+  const link = artist && artist['artistLinkUrl'];
+  const genre = artist && artist['primaryGenreName'];
+  resultsDiv.innerHTML = `<div class="discography-header">
+      <h2>${link ? `<a href="${escapeHtml(link)}" target="_blank">${escapeHtml(name)}</a>` : escapeHtml(name)}</h2>
+      <p>${genre ? `${escapeHtml(genre)} · ` : ''}${discography.results.length} releases · ${storefrontName(countryCode)}</p>
+    </div>
+    ${sectionsHtml}`;
+
+  initializeResultCards(resultsDiv);
+  restoreViewParams(resultsDiv);
+}
+
+/**
+ * Search box text that opens an artist's discography in the current storefront and format
+ * @param {number|string} artistId - Apple artist ID
+ * @returns {string} Search term such as "uk: artistid:123"
+ */
+function artistDiscographyTerm(artistId) {
+  const current = window.currentResults;
+  const parts = [];
+  const country = current && current.country && current.country !== 'us'
+    ? searchOptionFromParam('country', current.country)
+    : null;
+  if (country) {
+    parts.push(country);
+  }
+  parts.push(`artistid:${artistId}`);
+  if (current && current.usePng) {
+    parts.push('.png');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Renders the Discography link of a music card
+ * @param {Object} result - iTunes search/lookup result
+ * @param {string} entity - Entity type the card is rendered as
+ * @returns {string} Link HTML, or '' for results without an artist catalogue
+ */
+function renderArtistLink(result, entity) {
+  if (!result['artistId'] || (entity !== 'album' && entity !== 'song')) {
+    return '';
+  }
+  const term = artistDiscographyTerm(result['artistId']);
+  const name = escapeHtml(result['artistName'] || 'this artist');
+  return `<a class="artist-link" href="?term=${encodeURIComponent(term)}" data-term="${escapeHtml(term)}" title="All releases by ${name}">Discography</a>`;
+}
+
+/**
+ * Opens the discography in place when a card's Discography link is clicked
+ * Modified clicks keep the browser's behaviour (open the link in a new tab).
+ * @param {Element} [root=document] - Element containing the cards to wire up
+ */
+function initializeArtistLinks(root) {
+  (root || document).querySelectorAll('.result .artist-link').forEach(link => {
+    link.addEventListener('click', function(e) {
+      e.stopPropagation();
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+        return;
+      }
+      e.preventDefault();
+      runLibrarySearch(link.dataset.term);
+    });
+  });
+}
@@ -0,0 +1,216 @@
+/* Artwork URL Resolver
+   - Single source of truth for mzstatic artwork URL rewriting
+   - Thumbnail, square sizes, HD original and eBook portrait variants
+   - App Store screenshots per device family
+   - Loaded as a plain script in the browser (window.ArtworkResolver)
+     and imported by the serverless API routes
+*/
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ArtworkResolver = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  /**
+   * @typedef {Object} ArtworkLink
+   * @property {string} key - Variant key ('600', '1500', '3000', 'ebook', 'hd')
+   * @property {string} label - Button label shown on cards and in the modal
+   * @property {string} url - Download URL
+   */
+
+  /**
+   * @typedef {Object} ArtworkVariants
+   * @property {string} entity - Entity the variants were resolved for
+   * @property {string} format - Output format ('jpg' or 'png')
+   * @property {string} source - The artworkUrl100 returned by Apple
+   * @property {string} thumbnail - 300x300 image used on result cards
+   * @property {Object<string, string>} sizes - Square renditions keyed by pixel size
+   * @property {string} hd - Highest resolution available (original for music/apps)
+   * @property {string|null} ebook - 1467x2200 portrait rendition (eBooks only)
+   * @property {string} preview - Large image shown in the artwork modal
+   * @property {ArtworkLink[]} links - Download links for this entity, in display order
+   */
+
+  /**
+   * @typedef {Object} ScreenshotFamily
+   * @property {string} key - Device family ('iphone', 'ipad', 'appletv')
+   * @property {string} label - Family name shown in the gallery
+   * @property {Array<{source: string, thumbnail: string, full: string}>} screenshots -
+   *   Screenshots in App Store order: Apple's URL, a 400px high rendition and the original
+   */
+
+  // Square renditions offered on cards, in pixels
+  const NAMED_SIZES = [300, 600, 1500, 3000];
+
+  // App icon renditions (the App Store's own icon sizes), in pixels
+  const ICON_SIZES = [512, 1024];
+
+  // Screenshot fields of software results: [key, label, field]
+  const SCREENSHOT_FAMILIES = [
+    ['iphone', 'iPhone', 'screenshotUrls'],
+    ['ipad', 'iPad', 'ipadScreenshotUrls'],
+    ['appletv', 'Apple TV', 'appletvScreenshotUrls']
+  ];
+
+  // Height of screenshot thumbnails in the gallery, in pixels
+  const SCREENSHOT_THUMBNAIL_HEIGHT = 400;
+
+  // Largest rendition mzstatic will scale to (it clamps to the source size)
+  const MAX_SIZE = 10000;
+
+  // eBook covers are portrait, so they get their own aspect ratio
+  const EBOOK_SIZE = '1467x2200';
+
+  // Download links offered per entity, in display order
+  const ENTITY_LINKS = {
+    'album': ['600', '1500', '3000', 'hd'],
+    'song': ['600', '1500', '3000', 'hd'],
+    'audiobook': ['3000', 'hd'],
+    'ebook': ['ebook', 'hd'],
+    'movie': ['hd'],
+    'tvSeason': ['hd'],
+    'software': ['512', '1024', 'hd'],
+    'podcast': ['600', '1500', '3000', 'hd']
+  };
+
+  const LINK_LABELS = {
+    'ebook': '2200',
+    'hd': 'HD'
+  };
+
+  // Movies and TV seasons have no r1000 original, so HD is the largest rendition
+  const RENDERED_HD_ENTITIES = ['movie', 'tvSeason'];
+
+  /**
+   * Rewrites the size segment of an mzstatic thumbnail URL
+   * @param {string} url - artworkUrl100 (or any sized mzstatic thumb URL)
+   * @param {string} dimensions - Target size, e.g. '600x600' or '1467x2200'
+   * @param {string} format - 'jpg' or 'png'
+   * @returns {string} Resized image URL
+   */
+  function sizedUrl(url, dimensions, format) {
+    // Drop the trailing "100x100bb.jpg" style file name and rebuild it
+    const base = url.replace(/\/\d+x\d+[a-z]*(-\d+)?(\.(jpg|png|webp|tif))?$/i, '');
+    return `${base}/${dimensions}-999.${format === 'png' ? 'png' : 'jpg'}`;
+  }
+
+  /**
+   * Builds the URL of the untouched source image on the r1000 origin
+   * @param {string} url - artworkUrl100
+   * @returns {string} Original artwork URL
+   */
+  function originalUrl(url) {
+    const match = url.match(/^https?:\/\/[^\/]*\.mzstatic\.com\/image\/thumb\/(.*)\/[^\/]+$/i);
+    if (!match) {
+      return sizedUrl(url, `${MAX_SIZE}x${MAX_SIZE}`, 'jpg');
+    }
+    return `https://a1.mzstatic.com/us/r1000/063/${match[1]}`;
+  }
+
+  /**
+   * Maps an iTunes result to the entity used for artwork and card layout
+   * @param {Object} result - iTunes search/lookup result
+   * @param {string} [fallback='album'] - Entity to use when the result is ambiguous
+   * @returns {string} Entity name
+   */
+  function entityForResult(result, fallback) {
+    const kind = result['kind'];
+    const wrapperType = result['wrapperType'];
+    if (kind === 'feature-movie') return 'movie';
+    if (kind === 'software' || kind === 'mac-software' || wrapperType === 'software') return 'software';
+    if (kind === 'ebook') return 'ebook';
+    if (kind === 'song') return 'song';
+    if (kind === 'podcast' || wrapperType === 'podcast') return 'podcast';
+    if (wrapperType === 'audiobook') return 'audiobook';
+    if (wrapperType === 'collection' && result['collectionType'] === 'TV Season') return 'tvSeason';
+    if (wrapperType === 'collection' && result['collectionType'] === 'Album') return 'album';
+    return fallback || 'album';
+  }
+
+  /**
+   * Resolves every artwork variant for an iTunes result
+   * @param {Object} result - iTunes search/lookup result
+   * @param {string} entity - Entity type (album, song, movie, tvSeason, software, audiobook, ebook, podcast)
+   * @param {Object} [options]
+   * @param {string} [options.format='jpg'] - Output format ('jpg' or 'png')
+   * @returns {ArtworkVariants|null} Variants, or null if the result has no artwork
+   */
+  function resolveArtwork(result, entity, options) {
+    const source = result && (result['artworkUrl100'] || result['artworkUrl60']);
+    if (!source) {
+      return null;
+    }
+    const format = options && options.format === 'png' ? 'png' : 'jpg';
+
+    const sizes = {};
+    NAMED_SIZES.concat(ICON_SIZES).forEach(size => {
+      sizes[size] = sizedUrl(source, `${size}x${size}`, format);
+    });
+
+    const rendered = sizedUrl(source, `${MAX_SIZE}x${MAX_SIZE}`, format);
+    const hd = RENDERED_HD_ENTITIES.includes(entity) ? rendered : originalUrl(source);
+    const ebook = entity === 'ebook' ? sizedUrl(source, EBOOK_SIZE, format) : null;
+
+    const links = (ENTITY_LINKS[entity] || ENTITY_LINKS['album']).map(key => ({
+      key,
+      label: LINK_LABELS[key] || key,
+      url: key === 'hd' ? hd : key === 'ebook' ? ebook : sizes[key]
+    }));
+
+    return {
+      entity,
+      format,
+      source,
+      thumbnail: sizes[300],
+      sizes,
+      hd,
+      ebook,
+      preview: rendered,
+      links
+    };
+  }
+
+  /**
+   * Resolves the screenshots of an app, per device family
+   * @param {Object} result - iTunes software result
+   * @param {Object} [options]
+   * @param {string} [options.format='jpg'] - Thumbnail format ('jpg' or 'png'); originals keep Apple's format
+   * @returns {ScreenshotFamily[]} Families that have screenshots, in SCREENSHOT_FAMILIES order
+   */
+  function resolveScreenshots(result, options) {
+    const format = options && options.format === 'png' ? 'png' : 'jpg';
+    return SCREENSHOT_FAMILIES
+      .map(([key, label, field]) => ({
+        key,
+        label,
+        screenshots: (Array.isArray(result && result[field]) ? result[field] : []).map(source => {
+          // Keep the aspect ratio of the rendition Apple links to (e.g. 392x696bb.png)
+          const match = source.match(/\/(\d+)x(\d+)[a-z]*(?:-\d+)?\.\w+$/i);
+          const width = match && Number(match[2]) > 0
+            ? Math.round(Number(match[1]) * SCREENSHOT_THUMBNAIL_HEIGHT / Number(match[2]))
+            : SCREENSHOT_THUMBNAIL_HEIGHT;
+          return {
+            source,
+            thumbnail: sizedUrl(source, `${width}x${SCREENSHOT_THUMBNAIL_HEIGHT}`, format),
+            full: originalUrl(source)
+          };
+        })
+      }))
+      .filter(family => family.screenshots.length > 0);
+  }
+
+  return {
+    NAMED_SIZES,
+    ICON_SIZES,
+    MAX_SIZE,
+    SCREENSHOT_FAMILIES,
+    sizedUrl,
+    originalUrl,
+    entityForResult,
+    resolveArtwork,
+    resolveScreenshots
+  };
+});
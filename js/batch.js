@@ -0,0 +1,400 @@
+/* Batch Mode
+   - Resolves a pasted list or uploaded CSV/TXT of queries, Apple URLs and IDs
+   - Rate-limited concurrent lookups with a reviewable match table
+   - Downloads the chosen size for every row as one ZIP with a manifest
+*/
+
+// Requests in flight at once, and minimum spacing between request starts (ms).
+// The spacing keeps a batch under the proxy's default limit of 120 requests a minute.
+const BATCH_CONCURRENCY = 3;
+const BATCH_REQUEST_INTERVAL = 550;
+
+// Alternative matches offered per row in the review table
+const BATCH_MATCH_OPTIONS = 5;
+
+// Upper bound on rows per batch, to stay well clear of Apple's rate limits
+const BATCH_MAX_ROWS = 500;
+
+// Columns of the manifest.csv written into every ZIP
+const BATCH_MANIFEST_COLUMNS = ['line', 'query', 'status', 'entity', 'country', 'appleId', 'artist', 'title', 'size', 'url', 'file'];
+
+// Current batch: one entry per input line
+window.batchRows = [];
+
+/**
+ * Build the batch panel and wire up its controls
+ */
+function initializeBatchMode() {
+  const panel = document.getElementById('batch');
+  const toggle = document.getElementById('batchToggle');
+  if (!panel || !toggle || panel.dataset.initialized) {
+    return;
+  }
+  panel.dataset.initialized = 'true';
+
+  panel.innerHTML = `<div class="batch-content">
+    <h2 class="batch-title">Batch Mode</h2>
+    <p class="batch-help">One search term, Apple URL, ID, UPC or ISBN per line. CSV files use the first column.</p>
+    <textarea id="batchInput" rows="8" placeholder="artist: Adele&#10;720642462928&#10;https://music.apple.com/gb/album/abbey-road-remastered/1441164426"></textarea>
+    <div class="batch-controls">
+      <label class="batch-file">
+        <input id="batchFile" type="file" accept=".csv,.txt,text/csv,text/plain" />
+        <span>Upload CSV/TXT</span>
+      </label>
+      <label>Size
+        <select id="batchSize">
+          <option value="600">600</option>
+          <option value="1500">1500</option>
+          <option value="3000" selected>3000</option>
+          <option value="hd">HD</option>
+        </select>
+      </label>
+      <label>Format
+        <select id="batchFormat">
+          <option value="jpg">JPG</option>
+          <option value="png">PNG</option>
+        </select>
+      </label>
+      <button id="batchResolve" type="button">Resolve</button>
+      <button id="batchDownload" type="button" disabled>Download ZIP</button>
+    </div>
+    <div id="batchStatus" class="batch-status"></div>
+    <div id="batchReview" class="batch-review"></div>
+  </div>`;
+
+  toggle.addEventListener('click', function() {
+    const isOpen = panel.classList.toggle('open');
+    toggle.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+    if (isOpen) {
+      document.getElementById('batchInput').focus();
+    }
+  });
+
+  document.getElementById('batchFile').addEventListener('change', function(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function() {
+      document.getElementById('batchInput').value = parseBatchInput(String(reader.result), /\.csv$/i.test(file.name)).join('\n');
+    };
+    reader.readAsText(file);
+  });
+
+  document.getElementById('batchResolve').addEventListener('click', resolveBatch);
+  document.getElementById('batchDownload').addEventListener('click', downloadBatch);
+  document.getElementById('batchFormat').addEventListener('change', renderBatchReview);
+
+  // Overrides and include toggles are delegated since the table is re-rendered
+  document.getElementById('batchReview').addEventListener('change', function(e) {
+    const rowEl = e.target.closest('tr[data-row]');
+    if (!rowEl) return;
+    const row = window.batchRows[rowEl.dataset.row];
+    if (e.target.classList.contains('batch-match')) {
+      row.selected = Number(e.target.value);
+      renderBatchReview();
+    } else if (e.target.classList.contains('batch-include')) {
+      row.include = e.target.checked;
+    }
+  });
+}
+
+/**
+ * Splits pasted text or an uploaded file into batch queries
+ * @param {string} text - Raw text, one query per line
+ * @param {boolean} [isCsv=false] - Take only the first column of each line
+ * @returns {string[]} Queries, without blanks, comments or a header row
+ */
+function parseBatchInput(text, isCsv) {
+  const queries = text
+    .split(/\r?\n/)
+    .map(line => isCsv ? firstCsvCell(line) : line)
+    .map(cell => cell.trim())
+    .filter(cell => cell.length > 0 && !cell.startsWith('#'));
+
+  // Drop a header row such as "query" or "term"
+  if (queries.length && /^(query|term|search|url|id|upc|isbn)$/i.test(queries[0])) {
+    queries.shift();
+  }
+  return queries.slice(0, BATCH_MAX_ROWS);
+}
+
+/**
+ * Returns the first cell of a CSV line, honouring double quotes
+ * @param {string} line - One CSV line
+ * @returns {string} First cell
+ */
+function firstCsvCell(line) {
+  if (!line.startsWith('"')) {
+    return line.split(',')[0];
+  }
+  let cell = '';
+  for (let i = 1; i < line.length; i++) {
+    if (line[i] === '"') {
+      if (line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        break;
+      }
+    } else {
+      cell += line[i];
+    }
+  }
+  return cell;
+}
+
+/**
+ * Runs an async worker over items with bounded concurrency and spaced starts
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum workers in flight
+ * @param {number} interval - Minimum delay between worker starts (ms)
+ * @param {Function} worker - async (item, index) => void
+ * @returns {Promise<void>} Resolves when every item has been processed
+ */
+async function runWithConcurrency(items, concurrency, interval, worker) {
+  let next = 0;
+  let lastStart = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      const wait = lastStart + interval - Date.now();
+      lastStart = Math.max(Date.now(), lastStart + interval);
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      await worker(items[index], index);
+    }
+  }
+
+  const lanes = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    lanes.push(lane());
+  }
+  await Promise.all(lanes);
+}
+
+/**
+ * Resolves every line of the batch input to its best matches
+ */
+async function resolveBatch() {
+  const input = document.getElementById('batchInput');
+  const resolveBtn = document.getElementById('batchResolve');
+  const downloadBtn = document.getElementById('batchDownload');
+  const queries = parseBatchInput(input.value);
+
+  if (queries.length === 0) {
+    setBatchStatus('Nothing to resolve - add one query per line.');
+    return;
+  }
+
+  window.batchRows = queries.map((query, index) => ({
+    line: index + 1,
+    query,
+    parsed: null,
+    matches: [],
+    selected: -1,
+    include: true,
+    status: 'pending'
+  }));
+
+  resolveBtn.disabled = true;
+  downloadBtn.disabled = true;
+  renderBatchReview();
+
+  let done = 0;
+  await runWithConcurrency(window.batchRows, BATCH_CONCURRENCY, BATCH_REQUEST_INTERVAL, async row => {
+    await resolveBatchRow(row);
+    done++;
+    setBatchStatus(`Resolved ${done} / ${window.batchRows.length}`);
+    renderBatchReview();
+  });
+
+  const matched = window.batchRows.filter(row => row.selected >= 0).length;
+  setBatchStatus(`Resolved ${window.batchRows.length} lines: ${matched} matched, ${window.batchRows.length - matched} without a match.`);
+  resolveBtn.disabled = false;
+  downloadBtn.disabled = matched === 0;
+}
+
+/**
+ * Looks up a single batch row and stores its top matches
+ * @param {Object} row - Batch row
+ */
+async function resolveBatchRow(row) {
+  const parsed = parseSearchTerm(row.query);
+  row.parsed = parsed;
+  try {
+    const data = await retryOnThrottle(
+      () => parsed.lookupMode
+        ? fetchResultsLookup(parsed.searchTerm, parsed.countryCode, parsed.lookupKey, parsed.lookupParams)
+        : fetchResults(parsed.searchTerm, parsed.entity, parsed.countryCode, parsed.attribute, undefined, parsed.lang),
+      (e, secondsLeft) => setBatchStatus(`Line ${row.line}: ${describeSearchError(e, secondsLeft)}`)
+    );
+    const results = data && Array.isArray(data.results) ? data.results : [];
+    row.matches = results.filter(result => result['artworkUrl100']).slice(0, BATCH_MATCH_OPTIONS);
+    row.selected = row.matches.length ? 0 : -1;
+    row.status = row.matches.length ? 'matched' : 'no match';
+  } catch (e) {
+    row.status = `error: ${describeSearchError(e)}`;
+  }
+}
+
+/**
+ * Resolves artwork for the selected match of a row
+ * @param {Object} row - Batch row
+ * @returns {ArtworkVariants|null} Artwork variants
+ */
+function batchRowArtwork(row) {
+  const match = row.matches[row.selected];
+  if (!match) return null;
+  const format = row.parsed.usePng ? 'png' : document.getElementById('batchFormat').value;
+  const entity = ArtworkResolver.entityForResult(match, row.parsed.entity);
+  return ArtworkResolver.resolveArtwork(match, entity, { format });
+}
+
+/**
+ * Short human-readable label for a result
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {string} "Artist - Title (Year)"
+ */
+function describeResult(result) {
+  const title = result['collectionName'] || result['trackName'] || '';
+  const year = result['releaseDate'] ? ` (${new Date(result['releaseDate']).getFullYear()})` : '';
+  return result['artistName'] ? `${result['artistName']} - ${title}${year}` : `${title}${year}`;
+}
+
+/**
+ * Escapes text for safe interpolation into HTML
+ * @param {string} text - Untrusted text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the review table for the current batch
+ */
+function renderBatchReview() {
+  const review = document.getElementById('batchReview');
+  if (!review) return;
+  if (window.batchRows.length === 0) {
+    review.innerHTML = '';
+    return;
+  }
+
+  review.innerHTML = `<table class="batch-table">
+    <thead><tr><th>#</th><th>Query</th><th>Artwork</th><th>Match</th><th>Include</th></tr></thead>
+    <tbody>${window.batchRows.map((row, index) => {
+      const artwork = batchRowArtwork(row);
+      const options = row.matches.map((match, i) =>
+        `<option value="${i}"${i === row.selected ? ' selected' : ''}>${escapeHtml(describeResult(match))}</option>`
+      ).join('');
+      return `<tr data-row="${index}" class="batch-${row.status === 'matched' ? 'matched' : row.status === 'pending' ? 'pending' : 'unmatched'}">
+        <td>${row.line}</td>
+        <td class="batch-query">${escapeHtml(row.query)}</td>
+        <td class="batch-thumb">${artwork ? `<img src="${artwork.sizes[300]}" alt="" />` : ''}</td>
+        <td>${row.matches.length ? `<select class="batch-match">${options}</select>` : escapeHtml(row.status)}</td>
+        <td><input class="batch-include" type="checkbox"${row.include ? ' checked' : ''}${row.matches.length ? '' : ' disabled'} /></td>
+      </tr>`;
+    }).join('')}</tbody>
+  </table>`;
+}
+
+/**
+ * Updates the batch status line
+ * @param {string} message - Status text
+ */
+function setBatchStatus(message) {
+  const status = document.getElementById('batchStatus');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Quotes a value for the CSV manifest
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Downloads the chosen size for every included row and saves them as one ZIP
+ */
+async function downloadBatch() {
+  const size = document.getElementById('batchSize').value;
+  const downloadBtn = document.getElementById('batchDownload');
+  const rows = window.batchRows.filter(row => row.include && row.selected >= 0);
+  const files = [];
+  const manifest = [];
+
+  downloadBtn.disabled = true;
+  let done = 0;
+
+  try {
+    await runWithConcurrency(rows, BATCH_CONCURRENCY, BATCH_REQUEST_INTERVAL, async row => {
+      const match = row.matches[row.selected];
+      const artwork = batchRowArtwork(row);
+      // Entities without the chosen size (e.g. movies only offer HD) fall back to HD
+      const link = artwork.links.find(l => l.key === size) || artwork.links.find(l => l.key === 'hd');
+      const entry = {
+        line: row.line,
+        cells: [row.line, row.query, '', artwork.entity, row.parsed.countryCode, appleIdForResult(match),
+          match['artistName'], match['collectionName'] || match['trackName'], link.label, link.url, '']
+      };
+
+      try {
+        const blob = await retryOnThrottle(async () => {
+          const response = await fetch(artworkDownloadUrl(link.url));
+          if (!response.ok) {
+            throw await proxyResponseError(response, 'Artwork download returned');
+          }
+          return response.blob();
+        }, (e, secondsLeft) => setBatchStatus(`Line ${row.line}: ${describeSearchError(e, secondsLeft)}`));
+        const name = `${String(row.line).padStart(3, '0')} - ${filenameForResult(match, {
+          entity: artwork.entity,
+          country: row.parsed.countryCode,
+          size: link.label,
+          ext: extensionForImage(blob, link.url)
+        })}`;
+        files.push({ line: row.line, name, data: new Uint8Array(await blob.arrayBuffer()) });
+        entry.cells[2] = 'ok';
+        entry.cells[10] = name;
+      } catch (e) {
+        entry.cells[2] = `error: ${e.message}`;
+      }
+      manifest.push(entry);
+      done++;
+      setBatchStatus(`Downloaded ${done} / ${rows.length}`);
+    });
+
+    // Workers finish out of order; keep the archive in input order
+    files.sort((a, b) => a.line - b.line);
+    const manifestRows = manifest.sort((a, b) => a.line - b.line).map(entry => entry.cells);
+    const manifestCsv = [BATCH_MANIFEST_COLUMNS, ...manifestRows].map(cells => cells.map(csvCell).join(',')).join('\n') + '\n';
+
+    const zip = buildZip([...files, { name: 'manifest.csv', data: manifestCsv }]);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = window.URL.createObjectURL(zip);
+    a.download = `artwork-batch-${new Date().toISOString().slice(0, 10)}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => window.URL.revokeObjectURL(a.href), 1000);
+
+    const failed = manifestRows.filter(cells => cells[2] !== 'ok').map(cells => cells[0]);
+    setBatchStatus(`Saved ${files.length} images${failed.length ? `, ${failed.length} failed (line${failed.length > 1 ? 's' : ''} ${failed.join(', ')}; see manifest.csv)` : ''}.`);
+  } catch (error) {
+    console.error('Could not save batch:', error);
+    setBatchStatus('Could not build the ZIP.');
+  } finally {
+    downloadBtn.disabled = false;
+  }
+}
@@ -0,0 +1,209 @@
+/* Download Filenames
+   - Filename templates with {artist}, {title}, {year}, ... tokens
+   - Filesystem-safe sanitisation
+   - Template persisted in localStorage and edited in the Filenames panel
+   - sanitizeFilename is also imported by the artwork download route
+*/
+
+const FILENAME_TEMPLATE_KEY = 'artworkFilenameTemplate';
+const DEFAULT_FILENAME_TEMPLATE = '{artist} - {album} ({year}) [{size}].{ext}';
+
+// Tokens available in templates, with the help text shown in the panel
+const FILENAME_TOKENS = {
+  artist: 'Artist, author or developer',
+  album: 'Album, season, book or app name',
+  title: 'Track or item title',
+  year: 'Release year',
+  id: 'Apple ID',
+  entity: 'Result type (album, song, movie...)',
+  country: 'Storefront code',
+  size: 'Chosen size (600, 3000, HD...)',
+  ext: 'File extension (jpg, png...)'
+};
+
+// Values used for the live preview in the panel
+const FILENAME_PREVIEW_VALUES = {
+  artist: 'Daft Punk',
+  album: 'Discovery',
+  title: 'One More Time',
+  year: '2001',
+  id: '697194953',
+  entity: 'album',
+  country: 'us',
+  size: '3000',
+  ext: 'jpg'
+};
+
+/**
+ * Makes a string safe to use as a file name
+ * @param {string} name - Proposed file name (without extension)
+ * @returns {string} Sanitised file name
+ */
+function sanitizeFilename(name) {
+  return name
+    .replace(/[\/\\?%*:|"<>\x00-\x1F\x7F]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 150) || 'artwork';
+}
+
+/**
+ * Returns the saved filename template
+ * @returns {string} Template, or the default when none is saved
+ */
+function loadFilenameTemplate() {
+  try {
+    return localStorage.getItem(FILENAME_TEMPLATE_KEY) || DEFAULT_FILENAME_TEMPLATE;
+  } catch (e) {
+    // Storage can be unavailable (private browsing, blocked cookies)
+    return DEFAULT_FILENAME_TEMPLATE;
+  }
+}
+
+/**
+ * Saves the filename template, or forgets it when it is blank or the default
+ * @param {string} template - Template to save
+ */
+function saveFilenameTemplate(template) {
+  try {
+    if (!template.trim() || template === DEFAULT_FILENAME_TEMPLATE) {
+      localStorage.removeItem(FILENAME_TEMPLATE_KEY);
+    } else {
+      localStorage.setItem(FILENAME_TEMPLATE_KEY, template);
+    }
+  } catch (e) {
+    console.warn('Could not save filename template:', e);
+  }
+}
+
+/**
+ * Collects the token values for a result
+ * @param {Object} result - iTunes search/lookup result
+ * @param {Object} details
+ * @param {string} [details.entity] - Entity the result was searched as
+ * @param {string} [details.country] - Storefront code
+ * @param {string} [details.size] - Size label, e.g. '3000' or 'HD'
+ * @param {string} [details.ext] - File extension without the dot
+ * @returns {Object} Token values keyed by token name
+ */
+function filenameValues(result, details) {
+  return {
+    artist: result['artistName'] || result['sellerName'] || '',
+    album: result['collectionName'] || result['trackName'] || '',
+    title: result['trackName'] || result['collectionName'] || '',
+    year: result['releaseDate'] ? String(new Date(result['releaseDate']).getFullYear()) : '',
+    id: String(appleIdForResult(result) || ''),
+    entity: ArtworkResolver.entityForResult(result, details.entity) || '',
+    country: details.country || '',
+    size: details.size || '',
+    ext: details.ext || 'jpg'
+  };
+}
+
+/**
+ * Fills in a filename template
+ * Token values are sanitised before substitution, so a "/" in a title can't create
+ * folders. Brackets and separators left empty by missing values are removed.
+ * The extension is appended when the template has no {ext}.
+ * @param {string} template - Template such as '{artist} - {album}.{ext}'
+ * @param {Object} values - Token values from filenameValues()
+ * @returns {string} Sanitised filename with extension
+ */
+function renderFilename(template, values) {
+  const ext = values.ext || 'jpg';
+  let source = template || DEFAULT_FILENAME_TEMPLATE;
+  if (!source.includes('{ext}')) {
+    source += '.{ext}';
+  }
+
+  const filled = source
+    .replace(/\.\{ext\}\s*$/, '')
+    .replace(/\{(\w+)\}/g, (match, token) => {
+      if (!FILENAME_TOKENS.hasOwnProperty(token)) return match;
+      const value = String(values[token] || '');
+      return value ? sanitizeFilename(value) : '';
+    })
+    .replace(/\(\s*\)|\[\s*\]|\{\s*\}/g, '')
+    .replace(/\s*([-_,])(?:\s*[-_,])+\s*/g, ' $1 ')
+    .replace(/^[\s\-_.,]+|[\s\-_.,]+$/g, '');
+
+  return `${sanitizeFilename(filled)}.${sanitizeFilename(ext)}`;
+}
+
+/**
+ * Builds the download filename for a result using the saved template
+ * @param {Object} result - iTunes search/lookup result
+ * @param {Object} details - entity, country, size and ext, see filenameValues()
+ * @returns {string} Filename with extension
+ */
+function filenameForResult(result, details) {
+  return renderFilename(loadFilenameTemplate(), filenameValues(result, details));
+}
+
+/**
+ * Build the Filenames panel and wire up its controls
+ */
+function initializeFilenameSettings() {
+  const panel = document.getElementById('filenames');
+  const toggle = document.getElementById('filenamesToggle');
+  if (!panel || !toggle || panel.dataset.initialized) {
+    return;
+  }
+  panel.dataset.initialized = 'true';
+
+  const tokensHtml = Object.keys(FILENAME_TOKENS)
+    .map(token => `<li><button type="button" data-token="${token}">{${token}}</button> ${FILENAME_TOKENS[token]}</li>`)
+    .join('');
+
+  panel.innerHTML = `<div class="filenames-content">
+    <h2 class="filenames-title">Download Filenames</h2>
+    <div class="filenames-controls">
+      <input id="filenameTemplate" type="text" spellcheck="false" aria-label="Filename template" />
+      <button id="filenameReset" type="button">Reset</button>
+    </div>
+    <div class="filenames-preview">Preview: <span id="filenamePreview"></span></div>
+    <ul class="filenames-tokens">${tokensHtml}</ul>
+  </div>`;
+
+  const input = document.getElementById('filenameTemplate');
+  const preview = document.getElementById('filenamePreview');
+  const update = function() {
+    saveFilenameTemplate(input.value);
+    preview.textContent = renderFilename(input.value, FILENAME_PREVIEW_VALUES);
+  };
+  input.value = loadFilenameTemplate();
+  preview.textContent = renderFilename(input.value, FILENAME_PREVIEW_VALUES);
+
+  toggle.addEventListener('click', function() {
+    const isOpen = panel.classList.toggle('open');
+    toggle.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+    if (isOpen) {
+      input.focus();
+    }
+  });
+
+  input.addEventListener('input', update);
+
+  document.getElementById('filenameReset').addEventListener('click', function() {
+    input.value = DEFAULT_FILENAME_TEMPLATE;
+    update();
+  });
+
+  // Clicking a token inserts it at the cursor
+  panel.querySelector('.filenames-tokens').addEventListener('click', function(e) {
+    const button = e.target.closest('button[data-token]');
+    if (!button) return;
+    const text = `{${button.dataset.token}}`;
+    const start = input.selectionStart !== null ? input.selectionStart : input.value.length;
+    const end = input.selectionEnd !== null ? input.selectionEnd : input.value.length;
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    input.focus();
+    input.setSelectionRange(start + text.length, start + text.length);
+    update();
+  });
+}
+
+// Serverless routes import this file; in the browser it stays a plain script
+if (typeof module === 'object' && module.exports) {
+  module.exports = { sanitizeFilename };
+}
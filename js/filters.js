@@ -0,0 +1,374 @@
+/* Result Filters
+   - Toolbar to sort the results grid and filter it by release type, explicitness,
+     genre, year range and track count
+   - Works on the rendered cards, so paging and variant groups keep working
+   - Active filters are kept in the page URL so a filtered view can be shared
+*/
+
+// URL query parameter -> filter; ranges are written as "from-to"
+const FILTER_PARAMS = {
+  sort: 'sort',
+  type: 'type',
+  explicit: 'explicit',
+  genre: 'genre',
+  years: 'year',
+  tracks: 'tracks'
+};
+
+// Sort orders offered in the toolbar; each compares two results
+const RESULT_SORTS = {
+  relevance: { label: 'Relevance', compare: () => 0 },
+  newest: { label: 'Newest first', compare: (a, b) => compareMissingLast(releaseYear(a), releaseYear(b), true) },
+  oldest: { label: 'Oldest first', compare: (a, b) => compareMissingLast(releaseYear(a), releaseYear(b)) },
+  title: { label: 'Title', compare: (a, b) => resultTitle(a).localeCompare(resultTitle(b)) },
+  artist: {
+    label: 'Artist',
+    compare: (a, b) => (a['artistName'] || '').localeCompare(b['artistName'] || '') || resultTitle(a).localeCompare(resultTitle(b))
+  }
+};
+
+/**
+ * @typedef {Object} ResultFilters
+ * @property {string} sort - Key of RESULT_SORTS
+ * @property {string} type - '', 'album', 'ep' or 'single'
+ * @property {string} explicit - '', 'explicit' or 'clean'
+ * @property {string} genre - primaryGenreName, or '' for any
+ * @property {{from: number|null, to: number|null}} years - Release year range
+ * @property {{from: number|null, to: number|null}} tracks - Track count range
+ */
+
+/**
+ * Filters with nothing selected
+ * @returns {ResultFilters} Empty filters
+ */
+function emptyResultFilters() {
+  return { sort: 'relevance', type: '', explicit: '', genre: '', years: { from: null, to: null }, tracks: { from: null, to: null } };
+}
+
+/**
+ * Release year of a result
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {number|null} Year, or null when unknown
+ */
+function releaseYear(result) {
+  const year = result['releaseDate'] ? new Date(result['releaseDate']).getFullYear() : NaN;
+  return isNaN(year) ? null : year;
+}
+
+/**
+ * Title a result is sorted by
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {string} Collection or track name
+ */
+function resultTitle(result) {
+  return result['collectionName'] || result['trackName'] || '';
+}
+
+/**
+ * Compares two numbers, putting missing values last in either direction
+ * @param {number|null} a - First value
+ * @param {number|null} b - Second value
+ * @param {boolean} [descending] - Largest first
+ * @returns {number} Sort order
+ */
+function compareMissingLast(a, b, descending) {
+  if (a === null || b === null) return (a === null) - (b === null);
+  return descending ? b - a : a - b;
+}
+
+/**
+ * Parses a "from-to" range; either end may be left out ("1990-", "-2005")
+ * @param {string|null} value - Range from the URL
+ * @returns {{from: number|null, to: number|null}} Range
+ */
+function parseRange(value) {
+  const text = value || '';
+  const match = text.match(/^\s*(\d*)\s*-?\s*(\d*)\s*$/);
+  if (!match) return { from: null, to: null };
+  const from = match[1] ? parseInt(match[1], 10) : null;
+  // A single number ("2001") means exactly that value
+  const to = match[2] ? parseInt(match[2], 10) : (text.includes('-') ? null : from);
+  return { from, to };
+}
+
+/**
+ * Writes a range as "from-to", or '' when neither end is set
+ * @param {{from: number|null, to: number|null}} range - Range
+ * @returns {string} Range for the URL
+ */
+function formatRange(range) {
+  if (range.from === null && range.to === null) return '';
+  if (range.from !== null && range.from === range.to) return String(range.from);
+  return `${range.from !== null ? range.from : ''}-${range.to !== null ? range.to : ''}`;
+}
+
+/**
+ * Reads the filters from the page URL
+ * @returns {ResultFilters} Filters
+ */
+function readFilterParams() {
+  const params = new URLSearchParams(window.location.search);
+  const filters = emptyResultFilters();
+  const sort = params.get(FILTER_PARAMS.sort);
+  if (sort && RESULT_SORTS[sort]) filters.sort = sort;
+  if (['album', 'ep', 'single'].includes(params.get(FILTER_PARAMS.type))) filters.type = params.get(FILTER_PARAMS.type);
+  if (['explicit', 'clean'].includes(params.get(FILTER_PARAMS.explicit))) filters.explicit = params.get(FILTER_PARAMS.explicit);
+  filters.genre = params.get(FILTER_PARAMS.genre) || '';
+  filters.years = parseRange(params.get(FILTER_PARAMS.years));
+  filters.tracks = parseRange(params.get(FILTER_PARAMS.tracks));
+  return filters;
+}
+
+/**
+ * Writes the filters to the page URL without adding a history entry
+ * @param {ResultFilters} filters - Filters
+ */
+function writeFilterParams(filters) {
+  const url = new URL(window.location);
+  const values = {
+    sort: filters.sort === 'relevance' ? '' : filters.sort,
+    type: filters.type,
+    explicit: filters.explicit,
+    genre: filters.genre,
+    years: formatRange(filters.years),
+    tracks: formatRange(filters.tracks)
+  };
+  Object.keys(FILTER_PARAMS).forEach(key => {
+    if (values[key]) {
+      url.searchParams.set(FILTER_PARAMS[key], values[key]);
+    } else {
+      url.searchParams.delete(FILTER_PARAMS[key]);
+    }
+  });
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Removes all filter parameters from a URL (used when starting a new search)
+ * @param {URL} url - URL to change
+ */
+function clearFilterParams(url) {
+  Object.values(FILTER_PARAMS).forEach(name => url.searchParams.delete(name));
+}
+
+/**
+ * Writes the filters set by query tokens (year:, type:, explicit:) to a URL
+ * Filters already in the URL are kept, so a filter changed in the toolbar wins.
+ * @param {URL} url - URL to change
+ * @param {Object} filters - Partial ResultFilters from parseSearchTerm()
+ */
+function setQueryFilterParams(url, filters) {
+  const values = {
+    type: filters.type,
+    explicit: filters.explicit,
+    years: filters.years ? formatRange(filters.years) : ''
+  };
+  Object.keys(values).forEach(key => {
+    if (values[key] && !url.searchParams.has(FILTER_PARAMS[key])) {
+      url.searchParams.set(FILTER_PARAMS[key], values[key]);
+    }
+  });
+}
+
+/**
+ * Whether any filter (not the sort order) is set
+ * @param {ResultFilters} filters - Filters
+ * @returns {boolean} True when some results may be hidden
+ */
+function hasActiveFilters(filters) {
+  return Boolean(filters.type || filters.explicit || filters.genre ||
+    filters.years.from !== null || filters.years.to !== null ||
+    filters.tracks.from !== null || filters.tracks.to !== null);
+}
+
+/**
+ * Checks a result against the filters
+ * Results without the filtered field (e.g. no track count) don't match a set filter.
+ * @param {Object} result - iTunes search/lookup result
+ * @param {ResultFilters} filters - Filters
+ * @returns {boolean} True when the result should be shown
+ */
+function matchesResultFilters(result, filters) {
+  if (filters.type && releaseType(result) !== filters.type) return false;
+
+  if (filters.explicit) {
+    const explicit = (result['collectionExplicitness'] || result['trackExplicitness']) === 'explicit';
+    if (explicit !== (filters.explicit === 'explicit')) return false;
+  }
+
+  if (filters.genre && result['primaryGenreName'] !== filters.genre) return false;
+
+  const inRange = (value, range) => {
+    if (range.from === null && range.to === null) return true;
+    if (typeof value !== 'number') return false;
+    return (range.from === null || value >= range.from) && (range.to === null || value <= range.to);
+  };
+  return inRange(releaseYear(result), filters.years) && inRange(result['trackCount'], filters.tracks);
+}
+
+/**
+ * Adds the sort/filter toolbar below the results bar and applies the filters from the URL
+ * @param {Element} resultsDiv - Results container
+ */
+function renderResultFilters(resultsDiv) {
+  const filters = readFilterParams();
+  const sortOptions = Object.keys(RESULT_SORTS)
+    .map(key => `<option value="${key}">${RESULT_SORTS[key].label}</option>`)
+    .join('');
+
+  const toolbarHtml = `<div class="results-filters">
+      <label>Sort
+        <select data-filter="sort">${sortOptions}</select>
+      </label>
+      <label data-requires="type">Type
+        <select data-filter="type">
+          <option value="">Any</option>
+          <option value="album">Albums</option>
+          <option value="ep">EPs</option>
+          <option value="single">Singles</option>
+        </select>
+      </label>
+      <label data-requires="explicit">Content
+        <select data-filter="explicit">
+          <option value="">Any</option>
+          <option value="explicit">Explicit</option>
+          <option value="clean">Clean</option>
+        </select>
+      </label>
+      <label data-requires="genre">Genre
+        <select data-filter="genre"></select>
+      </label>
+      <label data-requires="years">Years
+        <input type="number" data-filter="years-from" min="1900" max="2100" placeholder="from" />
+        &ndash;
+        <input type="number" data-filter="years-to" min="1900" max="2100" placeholder="to" />
+      </label>
+      <label data-requires="tracks">Tracks
+        <input type="number" data-filter="tracks-from" min="1" placeholder="min" />
+        &ndash;
+        <input type="number" data-filter="tracks-to" min="1" placeholder="max" />
+      </label>
+      <button type="button" class="filters-reset">Reset</button>
+    </div>`;
+
+  const bar = resultsDiv.querySelector('.results-bar');
+  if (bar) {
+    bar.insertAdjacentHTML('afterend', toolbarHtml);
+  } else {
+    resultsDiv.insertAdjacentHTML('afterbegin', toolbarHtml);
+  }
+  const toolbar = resultsDiv.querySelector('.results-filters');
+
+  const field = name => toolbar.querySelector(`[data-filter="${name}"]`);
+  const setFields = values => {
+    updateFilterOptions(resultsDiv, values.genre);
+    field('sort').value = values.sort;
+    field('type').value = values.type;
+    field('explicit').value = values.explicit;
+    field('genre').value = values.genre;
+    field('years-from').value = values.years.from !== null ? values.years.from : '';
+    field('years-to').value = values.years.to !== null ? values.years.to : '';
+    field('tracks-from').value = values.tracks.from !== null ? values.tracks.from : '';
+    field('tracks-to').value = values.tracks.to !== null ? values.tracks.to : '';
+  };
+  const number = name => {
+    const value = parseInt(field(name).value, 10);
+    return isNaN(value) ? null : value;
+  };
+  const update = () => {
+    const values = {
+      sort: field('sort').value,
+      type: field('type').value,
+      explicit: field('explicit').value,
+      genre: field('genre').value,
+      years: { from: number('years-from'), to: number('years-to') },
+      tracks: { from: number('tracks-from'), to: number('tracks-to') }
+    };
+    writeFilterParams(values);
+    applyResultFilters(resultsDiv);
+  };
+
+  setFields(filters);
+  toolbar.addEventListener('change', update);
+  toolbar.addEventListener('input', e => {
+    if (e.target.type === 'number') update();
+  });
+  toolbar.querySelector('.filters-reset').addEventListener('click', () => {
+    setFields(emptyResultFilters());
+    update();
+  });
+
+  applyResultFilters(resultsDiv);
+}
+
+/**
+ * Fills the genre list from the loaded results and hides filters no result can match
+ * @param {Element} resultsDiv - Results container
+ * @param {string} [selectedGenre] - Genre to keep listed even if no result has it yet
+ */
+function updateFilterOptions(resultsDiv, selectedGenre) {
+  const toolbar = resultsDiv.querySelector('.results-filters');
+  const current = window.currentResults;
+  if (!toolbar || !current) return;
+  const items = current.items;
+
+  const select = toolbar.querySelector('[data-filter="genre"]');
+  const selected = selectedGenre !== undefined ? selectedGenre : select.value;
+  const genres = new Set(items.map(item => item['primaryGenreName']).filter(Boolean));
+  if (selected) genres.add(selected);
+  select.innerHTML = '';
+  select.add(new Option('Any', ''));
+  Array.from(genres).sort((a, b) => a.localeCompare(b)).forEach(genre => select.add(new Option(genre, genre)));
+  select.value = selected;
+
+  const available = {
+    type: current.entity === 'album',
+    explicit: items.some(item => item['collectionExplicitness'] || item['trackExplicitness']),
+    genre: genres.size > 0,
+    years: items.some(item => releaseYear(item) !== null),
+    tracks: items.some(item => typeof item['trackCount'] === 'number')
+  };
+  toolbar.querySelectorAll('label[data-requires]').forEach(label => {
+    label.hidden = !available[label.dataset.requires];
+  });
+}
+
+/**
+ * Sorts and filters the rendered cards using the filters in the URL
+ * Variant groups move as a whole, ordered by their first card. A variant that
+ * matches while its group's first card doesn't is shown on its own.
+ * @param {Element} resultsDiv - Results container
+ */
+function applyResultFilters(resultsDiv) {
+  const current = window.currentResults;
+  if (!current) return;
+  const filters = readFilterParams();
+  const active = hasActiveFilters(filters);
+  const itemFor = card => current.items[card.dataset.index];
+
+  // Cards are in display order, with variants directly after their group's first card
+  const blocks = [];
+  resultsDiv.querySelectorAll('.result').forEach(card => {
+    if (card.classList.contains('variant') && blocks.length > 0) {
+      blocks[blocks.length - 1].push(card);
+    } else {
+      blocks.push([card]);
+    }
+  });
+
+  blocks.forEach(block => {
+    const leadMatches = !active || matchesResultFilters(itemFor(block[0]), filters);
+    block.forEach((card, i) => {
+      const matches = i === 0 ? leadMatches : !active || matchesResultFilters(itemFor(card), filters);
+      card.classList.toggle('filtered-out', !matches);
+      card.classList.toggle('filter-promoted', i > 0 && matches && !leadMatches);
+    });
+  });
+
+  const compare = RESULT_SORTS[filters.sort].compare;
+  blocks.sort((a, b) => compare(itemFor(a[0]), itemFor(b[0])) || Number(a[0].dataset.index) - Number(b[0].dataset.index));
+  const footer = resultsDiv.querySelector('.results-more');
+  blocks.forEach(block => block.forEach(card => resultsDiv.insertBefore(card, footer)));
+
+  updateResultCount(resultsDiv);
+}
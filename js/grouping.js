@@ -0,0 +1,261 @@
+/* Variant Grouping
+   - Perceptual (difference) hashes of result thumbnails
+   - Groups editions by normalised title and by visually identical artwork
+   - Collapses each group to one representative card that expands to show its variants
+*/
+
+// Hashes closer than this many bits (of 64) count as the same artwork
+const ARTWORK_HASH_THRESHOLD = 5;
+
+// Hashes with fewer set (or unset) bits than this come from near-flat artwork
+// (solid colours, simple gradients) and are too alike to group by
+const ARTWORK_HASH_MIN_BITS = 8;
+
+// Give up waiting for thumbnails after this long and group with what we have (ms)
+const ARTWORK_HASH_TIMEOUT = 5000;
+
+// Thumbnail URL -> Promise of its hash, shared across searches
+const artworkHashes = new Map();
+
+// Bumped on every grouping pass so an older pass that finishes late is dropped
+let groupingRun = 0;
+
+// Edition and format suffixes that don't make a release distinct
+const EDITION_PATTERN = new RegExp('[\\(\\[][^\\)\\]]*\\b(' + [
+  'deluxe', 'remaster(ed)?', 'expanded', 'anniversary', 'edition', 'version', 'explicit', 'clean',
+  'bonus', 'special', 'collector\'?s', 'reissue', 'mono', 'stereo', 'international', 'super'
+].join('|') + ')\\b[^\\)\\]]*[\\)\\]]', 'gi');
+
+/**
+ * Normalises a title so edition variants compare equal
+ * e.g. "Abbey Road (Super Deluxe Edition) [Remastered] - EP" becomes "abbey road".
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {string} Artist and title key
+ */
+function normalisedTitleKey(result) {
+  const title = (result['collectionName'] || result['trackName'] || '')
+    .replace(EDITION_PATTERN, ' ')
+    .replace(/\s+-\s+(single|ep)\s*$/i, ' ')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\u0080-\uffff]+/g, ' ')
+    .trim();
+  const artist = (result['artistName'] || '').toLowerCase().trim();
+  return title ? `${artist}|${title}` : '';
+}
+
+/**
+ * Computes a 64-bit difference hash of an image
+ * The image is shrunk to 9x8 greyscale and each bit records whether a pixel
+ * is brighter than its right neighbour, which survives re-encoding and resizing.
+ * @param {HTMLImageElement} img - Loaded, same-origin or CORS-enabled image
+ * @returns {string} Hash as 16 hex digits
+ */
+function differenceHash(img) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 9;
+  canvas.height = 8;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, 9, 8);
+  const pixels = ctx.getImageData(0, 0, 9, 8).data;
+
+  let hex = '';
+  let nibble = 0;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const i = (y * 9 + x) * 4;
+      const left = pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+      const right = pixels[i + 4] * 0.299 + pixels[i + 5] * 0.587 + pixels[i + 6] * 0.114;
+      nibble = (nibble << 1) | (left > right ? 1 : 0);
+      if (x % 4 === 3) {
+        hex += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+/**
+ * Counts the differing bits of two hashes
+ * @param {string} a - Hash from differenceHash()
+ * @param {string} b - Hash from differenceHash()
+ * @returns {number} Hamming distance (0-64)
+ */
+function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Loads an image for pixel access
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadHashImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Thumbnail failed to load'));
+    img.src = url;
+  });
+}
+
+/**
+ * Returns the perceptual hash of a thumbnail
+ * The CDN is tried directly first, then through the artwork proxy in case
+ * the browser refuses pixel access. Failures resolve to null.
+ * @param {string} url - Thumbnail URL (artworkUrl100)
+ * @returns {Promise<string|null>} Hash
+ */
+function hashArtwork(url) {
+  if (!artworkHashes.has(url)) {
+    artworkHashes.set(url, loadHashImage(url)
+      .then(differenceHash)
+      .catch(() => loadHashImage(artworkDownloadUrl(url)).then(differenceHash))
+      .catch(error => {
+        console.warn('Could not hash artwork:', url, error);
+        return null;
+      }));
+  }
+  return artworkHashes.get(url);
+}
+
+/**
+ * Whether a hash carries enough detail to match artwork by
+ * @param {string|null} hash - Hash from differenceHash()
+ * @returns {boolean} False for missing hashes and near-flat artwork
+ */
+function isDistinctiveHash(hash) {
+  if (!hash) return false;
+  const bits = hashDistance(hash, '0000000000000000');
+  return bits >= ARTWORK_HASH_MIN_BITS && bits <= 64 - ARTWORK_HASH_MIN_BITS;
+}
+
+/**
+ * Groups results by normalised title or near-identical artwork
+ * Title groups are merged when their representatives' artwork matches. Each
+ * group is compared against the representative only, so a chain of loosely
+ * similar covers doesn't pull unrelated releases together.
+ * @param {Object[]} items - Results
+ * @param {Array<string|null>} hashes - Thumbnail hash per result
+ * @returns {number[][]} Groups of result indexes, each in result order
+ */
+function groupVariants(items, hashes) {
+  const byTitle = new Map();
+  const titleGroups = [];
+  items.forEach((item, i) => {
+    const key = normalisedTitleKey(item);
+    if (key && byTitle.has(key)) {
+      byTitle.get(key).push(i);
+      return;
+    }
+    const group = [i];
+    if (key) byTitle.set(key, group);
+    titleGroups.push(group);
+  });
+
+  const groups = [];
+  titleGroups.forEach(group => {
+    const hash = hashes[group[0]];
+    const match = isDistinctiveHash(hash) && groups.find(existing => {
+      const lead = hashes[existing[0]];
+      return isDistinctiveHash(lead) && hashDistance(lead, hash) <= ARTWORK_HASH_THRESHOLD;
+    });
+    if (match) {
+      match.push(...group);
+      match.sort((a, b) => a - b);
+    } else {
+      groups.push(group);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Undoes groupResultVariants(): removes badges and toggles and restores result order
+ * @param {Element} resultsDiv - Results container
+ */
+function ungroupResultVariants(resultsDiv) {
+  resultsDiv.querySelectorAll('.result .variant-badge, .result .variant-toggle').forEach(el => el.remove());
+  const cards = Array.from(resultsDiv.querySelectorAll('.result'));
+  cards.forEach(card => card.classList.remove('variant', 'collapsed', 'variant-lead'));
+
+  const footer = resultsDiv.querySelector('.results-more');
+  cards
+    .sort((a, b) => Number(a.dataset.index) - Number(b.dataset.index))
+    .forEach(card => resultsDiv.insertBefore(card, footer));
+}
+
+/**
+ * Hashes the rendered results and collapses variant groups
+ * Each group keeps its first card; the others are moved after it, hidden, and
+ * labelled "Same artwork" or "Distinct artwork" compared to the representative.
+ * Cards are regrouped once hashing finishes or times out, and again whenever
+ * more results are loaded.
+ * @param {Element} resultsDiv - Results container
+ */
+async function groupResultVariants(resultsDiv) {
+  const current = window.currentResults;
+  if (!current || current.items.length < 2) return;
+  const items = current.items.slice();
+  const run = ++groupingRun;
+
+  const timeout = new Promise(resolve => setTimeout(resolve, ARTWORK_HASH_TIMEOUT, null));
+  const hashes = await Promise.all(items.map(item => {
+    const url = item['artworkUrl100'] || item['artworkUrl60'];
+    return url ? Promise.race([hashArtwork(url), timeout]) : null;
+  }));
+
+  // A newer search or page replaced the results while we were hashing
+  if (window.currentResults !== current || run !== groupingRun) return;
+  ungroupResultVariants(resultsDiv);
+
+  groupVariants(items, hashes).forEach(indexes => {
+    // Artwork-less rows aren't rendered as cards
+    const group = indexes.filter(i => resultsDiv.querySelector(`.result[data-index="${i}"]`));
+    if (group.length < 2) return;
+    const cards = group.map(i => resultsDiv.querySelector(`.result[data-index="${i}"]`));
+    const lead = cards[0];
+
+    let anchor = lead;
+    let distinct = 0;
+    group.slice(1).forEach((index, n) => {
+      const card = cards[n + 1];
+      // Without both hashes the artwork can't be compared, so the badge stays neutral
+      const comparable = hashes[group[0]] && hashes[index];
+      const same = comparable && hashDistance(hashes[group[0]], hashes[index]) <= ARTWORK_HASH_THRESHOLD;
+      if (comparable && !same) distinct++;
+      const badge = !comparable ? ['', 'Variant'] : same ? ['', 'Same artwork'] : [' distinct', 'Distinct artwork'];
+      card.classList.add('variant', 'collapsed');
+      card.insertAdjacentHTML('afterbegin', `<span class="variant-badge${badge[0]}">${badge[1]}</span>`);
+      anchor.after(card);
+      anchor = card;
+    });
+
+    const count = group.length - 1;
+    const label = `${count} variant${count > 1 ? 's' : ''}${distinct ? `, ${distinct} with distinct artwork` : ''}`;
+    lead.classList.add('variant-lead');
+    lead.insertAdjacentHTML('beforeend', `<button type="button" class="variant-toggle" aria-expanded="false">+ ${label}</button>`);
+    const toggle = lead.querySelector('.variant-toggle');
+    toggle.addEventListener('click', function(e) {
+      e.stopPropagation();
+      const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+      toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+      toggle.textContent = `${expanded ? '−' : '+'} ${label}`;
+      cards.slice(1).forEach(card => card.classList.toggle('collapsed', !expanded));
+    });
+  });
+
+  // Grouping moved cards around, so sort and filter again
+  applyResultFilters(resultsDiv);
+}
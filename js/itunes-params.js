@@ -0,0 +1,194 @@
+/* iTunes Search API Parameters
+   - Storefront country prefixes, codes and multi-storefront presets
+   - Entity/media/attribute combinations accepted by Apple
+   - Loaded as a plain script in the browser (window.ItunesParams)
+     and imported by the serverless API routes for validation
+*/
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ItunesParams = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  // Country code prefixes typed in the search box, mapped to storefront codes
+  const COUNTRY_PREFIXES = {
+    'uk:': 'gb',
+    'us:': 'us',
+    'ca:': 'ca',
+    'au:': 'au',
+    'fr:': 'fr',
+    'de:': 'de',
+    'jp:': 'jp',
+    'it:': 'it',
+    'es:': 'es',
+    'nl:': 'nl',
+    'br:': 'br',
+    'mx:': 'mx',
+    'ru:': 'ru',
+    'se:': 'se',
+    'cn:': 'cn',
+    'kr:': 'kr',
+    'in:': 'in',
+    'za:': 'za',
+    'no:': 'no',
+    'dk:': 'dk',
+    'fi:': 'fi',
+    'pl:': 'pl',
+    'at:': 'at',
+    'ch:': 'ch',
+    'be:': 'be',
+    'pt:': 'pt',
+    'gr:': 'gr',
+    'tr:': 'tr',
+    'ar:': 'ar',
+    'cl:': 'cl',
+    'co:': 'co',
+    'pe:': 'pe',
+    'eg:': 'eg',
+    'th:': 'th',
+    'id:': 'id',
+    'my:': 'my',
+    'sg:': 'sg',
+    'ph:': 'ph',
+    'vn:': 'vn',
+    'tw:': 'tw',
+    'hk:': 'hk',
+    'nz:': 'nz',
+    'ie:': 'ie',
+    'cz:': 'cz',
+    'sk:': 'sk',
+    'hu:': 'hu',
+    'ro:': 'ro',
+    'bg:': 'bg',
+    'hr:': 'hr',
+    'si:': 'si',
+    'lt:': 'lt',
+    'lv:': 'lv',
+    'ee:': 'ee',
+    'is:': 'is',
+    'lu:': 'lu',
+    'mt:': 'mt',
+    'cy:': 'cy'
+  };
+
+  // Every Apple storefront code, accepted by the proxy and in storefront lists and links.
+  // COUNTRY_PREFIXES only covers the ones with a search box prefix.
+  const COUNTRY_CODES = [
+    'ae', 'ag', 'ai', 'al', 'am', 'ao', 'ar', 'at', 'au', 'az', 'ba', 'bb', 'bd', 'be', 'bf', 'bg', 'bh', 'bj', 'bm', 'bn',
+    'bo', 'br', 'bs', 'bt', 'bw', 'by', 'bz', 'ca', 'cd', 'cg', 'ch', 'ci', 'cl', 'cm', 'cn', 'co', 'cr', 'cv', 'cy', 'cz',
+    'de', 'dk', 'dm', 'do', 'dz', 'ec', 'ee', 'eg', 'es', 'fi', 'fj', 'fm', 'fr', 'ga', 'gb', 'gd', 'ge', 'gh', 'gm', 'gr',
+    'gt', 'gw', 'gy', 'hk', 'hn', 'hr', 'hu', 'id', 'ie', 'il', 'in', 'iq', 'is', 'it', 'jm', 'jo', 'jp', 'ke', 'kg', 'kh',
+    'kn', 'kr', 'kw', 'ky', 'kz', 'la', 'lb', 'lc', 'lk', 'lr', 'lt', 'lu', 'lv', 'ly', 'ma', 'md', 'me', 'mg', 'mk', 'ml',
+    'mm', 'mn', 'mo', 'mr', 'ms', 'mt', 'mu', 'mv', 'mw', 'mx', 'my', 'mz', 'na', 'ne', 'ng', 'ni', 'nl', 'no', 'np', 'nr',
+    'nz', 'om', 'pa', 'pe', 'pg', 'ph', 'pk', 'pl', 'pt', 'pw', 'py', 'qa', 'ro', 'rs', 'ru', 'rw', 'sa', 'sb', 'sc', 'se',
+    'sg', 'si', 'sk', 'sl', 'sn', 'sr', 'st', 'sv', 'sz', 'tc', 'td', 'th', 'tj', 'tm', 'tn', 'to', 'tr', 'tt', 'tw', 'tz',
+    'ua', 'ug', 'us', 'uy', 'uz', 'vc', 've', 'vg', 'vn', 'vu', 'xk', 'ye', 'za', 'zm', 'zw'
+  ];
+
+  // Named storefront lists for multi-storefront searches (all: ...)
+  // "all" is the major storefronts rather than every one, to stay clear of Apple's rate limits
+  const STOREFRONT_PRESETS = {
+    'all': ['us', 'gb', 'ca', 'au', 'de', 'fr', 'jp', 'it', 'es', 'br']
+  };
+
+  // Storefronts queried at most by one multi-storefront search
+  const MAX_STOREFRONTS = 10;
+
+  // App entities mapped to the media/entity pair sent to Apple
+  const ENTITY_MEDIA = {
+    'audiobook': { media: 'audiobook', entity: 'audiobook' },
+    'ebook': { media: 'ebook', entity: 'ebook' },
+    'movie': { media: 'movie', entity: 'movie' },
+    'tvSeason': { media: 'tvShow', entity: 'tvSeason' },
+    'song': { media: 'music', entity: 'song' },
+    'album': { media: 'music', entity: 'album' },
+    'software': { media: 'software', entity: 'software' },
+    'podcast': { media: 'podcast', entity: 'podcast' }
+  };
+
+  // Entities Apple accepts for each media type
+  const MEDIA_ENTITIES = {
+    'movie': ['movieArtist', 'movie'],
+    'podcast': ['podcastAuthor', 'podcast'],
+    'music': ['musicArtist', 'musicTrack', 'album', 'musicVideo', 'mix', 'song'],
+    'musicVideo': ['musicArtist', 'musicVideo'],
+    'audiobook': ['audiobookAuthor', 'audiobook'],
+    'shortFilm': ['shortFilmArtist', 'shortFilm'],
+    'tvShow': ['tvEpisode', 'tvSeason'],
+    'software': ['software', 'iPadSoftware', 'macSoftware'],
+    'ebook': ['ebook'],
+    'all': ['movie', 'album', 'allArtist', 'podcast', 'musicVideo', 'mix', 'audiobook', 'tvSeason', 'allTrack']
+  };
+
+  // Attributes Apple accepts for each media type
+  const MEDIA_ATTRIBUTES = {
+    'movie': ['actorTerm', 'genreIndex', 'artistTerm', 'shortFilmTerm', 'producerTerm', 'ratingTerm', 'directorTerm',
+      'releaseYearTerm', 'featureFilmTerm', 'movieArtistTerm', 'movieTerm', 'ratingIndex', 'descriptionTerm'],
+    'podcast': ['titleTerm', 'languageTerm', 'authorTerm', 'genreIndex', 'artistTerm', 'ratingIndex', 'keywordsTerm', 'descriptionTerm'],
+    'music': ['mixTerm', 'genreIndex', 'artistTerm', 'composerTerm', 'albumTerm', 'ratingIndex', 'songTerm'],
+    'musicVideo': ['genreIndex', 'artistTerm', 'albumTerm', 'ratingIndex', 'songTerm'],
+    'audiobook': ['titleTerm', 'authorTerm', 'genreIndex', 'ratingIndex'],
+    'shortFilm': ['genreIndex', 'artistTerm', 'shortFilmTerm', 'ratingIndex', 'descriptionTerm'],
+    'software': ['softwareDeveloper'],
+    'tvShow': ['genreIndex', 'tvEpisodeTerm', 'showTerm', 'tvSeasonTerm', 'ratingIndex', 'descriptionTerm'],
+    'ebook': ['titleTerm', 'authorTerm', 'genreIndex', 'ratingIndex'],
+    'all': ['actorTerm', 'languageTerm', 'allArtistTerm', 'tvEpisodeTerm', 'shortFilmTerm', 'directorTerm', 'releaseYearTerm',
+      'titleTerm', 'featureFilmTerm', 'ratingIndex', 'keywordsTerm', 'descriptionTerm', 'authorTerm', 'genreIndex', 'mixTerm',
+      'allTrackTerm', 'artistTerm', 'composerTerm', 'tvSeasonTerm', 'producerTerm', 'ratingTerm', 'songTerm', 'movieArtistTerm',
+      'showTerm', 'movieTerm', 'albumTerm']
+  };
+
+  // Generic prefix attributes that Apple names differently for some media
+  const ATTRIBUTE_ALIASES = {
+    'music': { 'titleTerm': 'albumTerm' },
+    'software': { 'authorTerm': 'softwareDeveloper', 'artistTerm': 'softwareDeveloper' },
+    'tvShow': { 'titleTerm': 'showTerm' },
+    'movie': { 'titleTerm': 'movieTerm' }
+  };
+
+  // Result languages Apple's Search API accepts (lang=)
+  const SEARCH_LANGUAGES = ['en_us', 'ja_jp'];
+
+  // Result limit bounds enforced by Apple, and the page size used when none is chosen
+  const MAX_LIMIT = 200;
+  const DEFAULT_LIMIT = 60;
+
+  // Apple stops returning search results well before this offset
+  const MAX_OFFSET = 2000;
+
+  /**
+   * Maps an attribute to the one Apple accepts for the given media
+   * e.g. title: on music becomes albumTerm (songTerm for songs).
+   * @param {string} attribute - Attribute from the search prefixes
+   * @param {string} media - Media type
+   * @param {string} [entity] - Entity, used to pick songTerm for song searches
+   * @returns {string} Accepted attribute, or '' when the media has no equivalent
+   */
+  function attributeForMedia(attribute, media, entity) {
+    if (!attribute) return '';
+    const aliases = ATTRIBUTE_ALIASES[media] || {};
+    let mapped = aliases[attribute] || attribute;
+    if (media === 'music' && mapped === 'albumTerm' && entity === 'song') {
+      mapped = 'songTerm';
+    }
+    return (MEDIA_ATTRIBUTES[media] || []).includes(mapped) ? mapped : '';
+  }
+
+  return {
+    COUNTRY_PREFIXES,
+    COUNTRY_CODES,
+    STOREFRONT_PRESETS,
+    MAX_STOREFRONTS,
+    ENTITY_MEDIA,
+    MEDIA_ENTITIES,
+    MEDIA_ATTRIBUTES,
+    SEARCH_LANGUAGES,
+    MAX_LIMIT,
+    DEFAULT_LIMIT,
+    MAX_OFFSET,
+    attributeForMedia
+  };
+});
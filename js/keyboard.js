@@ -0,0 +1,209 @@
+/* Keyboard Navigation
+   - "/" focuses the search box, arrow keys move between results, Enter opens the artwork
+   - Left/right step through results inside the artwork modal, Esc closes it
+   - Number keys download a size of the selected result
+   - "?" shows an overlay listing the shortcuts
+*/
+
+// Shortcuts listed in the overlay: [keys (HTML), description]
+const KEYBOARD_SHORTCUTS = [
+  ['/', 'Focus the search box'],
+  ['&larr; &uarr; &rarr; &darr;', 'Move between results'],
+  ['Enter', 'Open the selected artwork'],
+  ['&larr; &rarr;', 'Previous or next artwork in the viewer'],
+  ['+ &minus; 0', 'Zoom in, zoom out or fit the artwork in the viewer'],
+  ['1&ndash;9', 'Download a size of the selected artwork (1 is the first button)'],
+  ['Esc', 'Close the viewer, this overlay or leave the search box'],
+  ['?', 'Show or hide these shortcuts']
+];
+
+/**
+ * Build the shortcuts overlay and start listening for shortcuts
+ */
+function initializeKeyboardShortcuts() {
+  const overlay = document.getElementById('shortcuts');
+  if (!overlay || overlay.dataset.initialized) {
+    return;
+  }
+  overlay.dataset.initialized = 'true';
+
+  const rows = KEYBOARD_SHORTCUTS
+    .map(([keys, description]) => `<tr><th scope="row">${keys.split(' ').map(key => `<kbd>${key}</kbd>`).join(' ')}</th><td>${description}</td></tr>`)
+    .join('');
+  overlay.innerHTML = `<div class="shortcuts-content" role="dialog" aria-modal="true" aria-labelledby="shortcutsTitle">
+    <button type="button" class="shortcuts-close" title="Close (Esc)">&#10006;</button>
+    <h2 id="shortcutsTitle" class="shortcuts-title">Keyboard Shortcuts</h2>
+    <table class="shortcuts-list">${rows}</table>
+  </div>`;
+
+  overlay.addEventListener('click', function(e) {
+    if (e.target === overlay || e.target.classList.contains('shortcuts-close')) {
+      toggleShortcutsOverlay(false);
+    }
+  });
+
+  document.addEventListener('keydown', handleKeyboardShortcut);
+}
+
+/**
+ * Shows or hides the shortcuts overlay
+ * @param {boolean} [open] - Force open or closed; toggles when left out
+ */
+function toggleShortcutsOverlay(open) {
+  const overlay = document.getElementById('shortcuts');
+  if (!overlay) return;
+  const isOpen = overlay.classList.toggle('open', open);
+  if (isOpen) {
+    overlay.querySelector('.shortcuts-close').focus();
+  }
+}
+
+/**
+ * Whether a keypress target is a text field, where keys must keep their normal meaning
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ */
+function isTypingTarget(target) {
+  return Boolean(target && target.closest && (target.closest('input, textarea, select') || target.isContentEditable));
+}
+
+/**
+ * Moves the selection to a neighbouring card
+ * Left/right step through the cards in order; up/down pick the card in the
+ * previous or next row that is closest horizontally.
+ * @param {string} key - 'ArrowLeft', 'ArrowRight', 'ArrowUp' or 'ArrowDown'
+ * @returns {boolean} True when the selection was handled
+ */
+function moveResultSelection(key) {
+  const cards = visibleResultCards();
+  if (cards.length === 0) return false;
+
+  const selected = document.querySelector('#results .result.selected');
+  const index = cards.indexOf(selected);
+  if (index === -1) {
+    selectResultCard(cards[0], true);
+    return true;
+  }
+
+  let next;
+  if (key === 'ArrowLeft' || key === 'ArrowRight') {
+    next = cards[index + (key === 'ArrowRight' ? 1 : -1)];
+  } else {
+    const from = selected.getBoundingClientRect();
+    const centre = from.left + from.width / 2;
+    const down = key === 'ArrowDown';
+    let bestRow = null;
+    let bestDistance = Infinity;
+    cards.forEach(card => {
+      const rect = card.getBoundingClientRect();
+      // Cards whose top is within a few pixels are on the same row
+      const rowOffset = down ? rect.top - from.top : from.top - rect.top;
+      if (rowOffset <= 4) return;
+      const distance = Math.abs(rect.left + rect.width / 2 - centre);
+      const closerRow = bestRow === null || rowOffset < bestRow - 4;
+      const sameRow = bestRow !== null && Math.abs(rowOffset - bestRow) <= 4;
+      if (closerRow || (sameRow && distance < bestDistance)) {
+        bestRow = rowOffset;
+        bestDistance = distance;
+        next = card;
+      }
+    });
+  }
+
+  if (next) {
+    selectResultCard(next, true);
+  }
+  return true;
+}
+
+/**
+ * Clicks the nth size link in a card or the modal
+ * @param {Element|null} container - Card or modal holding the size links
+ * @param {number} n - 1-based position of the link
+ */
+function downloadSizeByNumber(container, n) {
+  const link = container && container.querySelectorAll('a[data-size]')[n - 1];
+  if (link) {
+    link.click();
+  }
+}
+
+/**
+ * Global keydown handler for the shortcuts
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleKeyboardShortcut(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+
+  const overlay = document.getElementById('shortcuts');
+  const overlayOpen = overlay && overlay.classList.contains('open');
+  const modalOpen = isArtworkModalOpen();
+
+  if (e.key === 'Escape') {
+    if (overlayOpen) {
+      toggleShortcutsOverlay(false);
+    } else if (modalOpen) {
+      closeArtworkModal();
+      const selected = document.querySelector('#results .result.selected');
+      if (selected) selected.focus({ preventScroll: true });
+    } else if (isTypingTarget(e.target)) {
+      e.target.blur();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    return;
+  }
+
+  if (isTypingTarget(e.target)) return;
+
+  if (e.key === '?') {
+    e.preventDefault();
+    toggleShortcutsOverlay();
+    return;
+  }
+  if (overlayOpen) return;
+
+  if (e.key === '/' && !modalOpen) {
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+      e.preventDefault();
+      searchInput.focus();
+      searchInput.select();
+    }
+    return;
+  }
+
+  const number = /^[1-9]$/.test(e.key) ? Number(e.key) : 0;
+
+  if (modalOpen) {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      stepArtworkModal(e.key === 'ArrowRight' ? 1 : -1);
+    } else if (e.key === '+' || e.key === '=') {
+      e.preventDefault();
+      zoomArtworkViewer(1.5);
+    } else if (e.key === '-') {
+      e.preventDefault();
+      zoomArtworkViewer(1 / 1.5);
+    } else if (e.key === '0') {
+      e.preventDefault();
+      zoomArtworkViewer(null);
+    } else if (number) {
+      e.preventDefault();
+      downloadSizeByNumber(document.querySelector('#artworkModal .modal-links'), number);
+    }
+    return;
+  }
+
+  const selected = document.querySelector('#results .result.selected');
+  if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+    if (moveResultSelection(e.key)) e.preventDefault();
+  } else if (e.key === 'Enter' && selected && !e.target.closest('a, button')) {
+    e.preventDefault();
+    openArtworkModal(selected);
+  } else if (number && selected) {
+    e.preventDefault();
+    downloadSizeByNumber(selected.querySelector('.links'), number);
+  }
+}
@@ -0,0 +1,536 @@
+/* Library: Search History & Favourites
+   - Searches and starred results stored in IndexedDB
+   - Side panel to browse, re-run and remove them
+   - JSON export/import so curated lists can be shared
+*/
+
+const LIBRARY_DB_NAME = 'artworkFinder';
+const LIBRARY_DB_VERSION = 1;
+
+// Oldest searches are dropped beyond this many
+const LIBRARY_HISTORY_LIMIT = 100;
+
+// Identifies exported files, checked on import
+const LIBRARY_EXPORT_FORMAT = 'artwork-finder-library';
+const LIBRARY_EXPORT_VERSION = 1;
+
+// Entity -> [search prefix, label] used to describe entries and re-run favourites
+const LIBRARY_ENTITIES = {
+  'album': ['album:', 'Album'],
+  'song': ['song:', 'Song'],
+  'movie': ['movie:', 'Movie'],
+  'tvSeason': ['tv:', 'TV season'],
+  'software': ['app:', 'App'],
+  'audiobook': ['audiobook:', 'Audiobook'],
+  'ebook': ['ebook:', 'eBook'],
+  'podcast': ['podcast:', 'Podcast']
+};
+
+// Result fields kept from imported favourites; anything else in a shared file is dropped
+const LIBRARY_RESULT_FIELDS = [
+  'wrapperType', 'kind', 'collectionType', 'artistId', 'collectionId', 'trackId',
+  'artistName', 'collectionName', 'trackName', 'sellerName',
+  'artistViewUrl', 'collectionViewUrl', 'trackViewUrl',
+  'artworkUrl60', 'artworkUrl100', 'artworkUrl512',
+  'releaseDate', 'primaryGenreName', 'collectionExplicitness', 'trackExplicitness',
+  'trackCount', 'country'
+];
+
+// Artwork fields of a result, which must point at Apple's image CDN
+const LIBRARY_ARTWORK_FIELDS = ['artworkUrl60', 'artworkUrl100', 'artworkUrl512'];
+
+// Keys (wrapperType:appleId) of starred results, kept in memory for rendering stars
+const favouriteKeys = new Set();
+
+let libraryDb = null;
+
+/**
+ * Opens (and on first use creates) the library database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openLibraryDb() {
+  if (!libraryDb) {
+    libraryDb = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = function() {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('history')) {
+          db.createObjectStore('history', { keyPath: 'term' }).createIndex('searchedAt', 'searchedAt');
+        }
+        if (!db.objectStoreNames.contains('favourites')) {
+          db.createObjectStore('favourites', { keyPath: 'key' }).createIndex('addedAt', 'addedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after a blocked upgrade)
+    libraryDb.catch(() => { libraryDb = null; });
+  }
+  return libraryDb;
+}
+
+/**
+ * Runs work in a transaction on one store
+ * @param {string} storeName - 'history' or 'favourites'
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - (store) => IDBRequest|undefined; its result is resolved
+ * @returns {Promise<*>} Result of the request returned by work, once the transaction completes
+ */
+async function libraryTransaction(storeName, mode, work) {
+  const db = await openLibraryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Records a search, moving repeated searches to the top
+ * @param {string} term - Search box text as typed
+ * @param {Object} parsed - parseSearchTerm() result
+ * @returns {Promise<void>}
+ */
+async function addHistoryEntry(term, parsed) {
+  const entry = {
+    term,
+    entity: parsed.entity,
+    countries: parsed.countries || [parsed.countryCode],
+    lookupMode: Boolean(parsed.lookupMode),
+    searchedAt: Date.now()
+  };
+  try {
+    await libraryTransaction('history', 'readwrite', store => store.put(entry));
+    const entries = await listHistory();
+    if (entries.length > LIBRARY_HISTORY_LIMIT) {
+      await libraryTransaction('history', 'readwrite', store => {
+        entries.slice(LIBRARY_HISTORY_LIMIT).forEach(old => store.delete(old.term));
+      });
+    }
+  } catch (e) {
+    console.warn('Could not save search history:', e);
+  }
+  refreshLibraryPanel();
+}
+
+/**
+ * Lists searches, newest first
+ * @returns {Promise<Object[]>} History entries
+ */
+async function listHistory() {
+  const entries = await libraryTransaction('history', 'readonly', store => store.getAll());
+  return entries.sort((a, b) => b.searchedAt - a.searchedAt);
+}
+
+/**
+ * Lists starred results, most recently starred first
+ * @returns {Promise<Object[]>} Favourites ({key, result, entity, country, addedAt})
+ */
+async function listFavourites() {
+  const entries = await libraryTransaction('favourites', 'readonly', store => store.getAll());
+  return entries.sort((a, b) => b.addedAt - a.addedAt);
+}
+
+/**
+ * Stars or unstars a result
+ * @param {Object} result - iTunes search/lookup result
+ * @param {string} entity - Entity the result was found as
+ * @param {string} country - Storefront the result came from
+ * @returns {Promise<boolean>} True when the result is now starred
+ */
+async function toggleFavourite(result, entity, country) {
+  const key = resultKey(result);
+  const starred = !favouriteKeys.has(key);
+  if (starred) {
+    // Storefront bookkeeping from merged searches isn't part of the release
+    const { storefronts, storefrontArtwork, artworkDiffers, shownStorefront, ...stored } = result;
+    const entry = { key, result: stored, entity, country: shownStorefront || country, addedAt: Date.now() };
+    await libraryTransaction('favourites', 'readwrite', store => store.put(entry));
+    favouriteKeys.add(key);
+  } else {
+    await libraryTransaction('favourites', 'readwrite', store => store.delete(key));
+    favouriteKeys.delete(key);
+  }
+  updateFavouriteButtons();
+  refreshLibraryPanel();
+  return starred;
+}
+
+/**
+ * Renders the star button for a card or the modal
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {string} Button HTML
+ */
+function renderFavouriteButton(result) {
+  const key = resultKey(result);
+  const starred = favouriteKeys.has(key);
+  return `<button type="button" class="favourite-toggle${starred ? ' starred' : ''}" data-key="${key}" aria-pressed="${starred}" title="${starred ? 'Remove from favourites' : 'Add to favourites'}">${starred ? '&#9733;' : '&#9734;'}</button>`;
+}
+
+/**
+ * Wires up star buttons on cards
+ * @param {Element} [root=document] - Element containing the cards
+ */
+function initializeFavouriteButtons(root) {
+  (root || document).querySelectorAll('.result .favourite-toggle').forEach(button => {
+    button.addEventListener('click', function(e) {
+      e.stopPropagation();
+      const card = button.closest('.result');
+      const current = window.currentResults;
+      const result = current && current.items[card.dataset.index];
+      if (!result) return;
+      toggleFavourite(result, current.entity, current.country).catch(error => {
+        console.warn('Could not update favourites:', error);
+      });
+    });
+  });
+}
+
+/**
+ * Syncs every rendered star (cards and modal) with favouriteKeys
+ */
+function updateFavouriteButtons() {
+  document.querySelectorAll('.favourite-toggle[data-key]').forEach(button => {
+    const starred = favouriteKeys.has(button.dataset.key);
+    button.classList.toggle('starred', starred);
+    button.setAttribute('aria-pressed', String(starred));
+    button.title = starred ? 'Remove from favourites' : 'Add to favourites';
+    button.innerHTML = starred ? '&#9733;' : '&#9734;';
+  });
+}
+
+/**
+ * Builds the search box text that finds a favourite again
+ * @param {Object} favourite - Favourite entry
+ * @returns {string} e.g. "uk:app:284882215"
+ */
+function favouriteSearchTerm(favourite) {
+  const countryPrefix = Object.keys(ItunesParams.COUNTRY_PREFIXES)
+    .find(prefix => ItunesParams.COUNTRY_PREFIXES[prefix] === favourite.country) || '';
+  const entityPrefix = (LIBRARY_ENTITIES[favourite.entity] || LIBRARY_ENTITIES['album'])[0];
+  return `${countryPrefix}${entityPrefix}${appleIdForResult(favourite.result)}`;
+}
+
+/**
+ * Short "Album · US" description of a search or favourite
+ * @param {string} entity - Entity
+ * @param {string[]} countries - Storefront codes
+ * @param {boolean} [lookupMode] - Whether the search was an ID/URL lookup
+ * @returns {string} Description
+ */
+function describeLibraryEntry(entity, countries, lookupMode) {
+  const label = (LIBRARY_ENTITIES[entity] || [null, entity])[1];
+  const stores = (countries || []).map(code => code.toUpperCase()).join(', ');
+  return [lookupMode ? `${label} lookup` : label, stores].filter(Boolean).join(' · ');
+}
+
+/**
+ * Puts a term in the search box and submits it like a typed search
+ * @param {string} term - Search box text
+ */
+function runLibrarySearch(term) {
+  const searchInput = document.getElementById('searchInput');
+  const searchForm = document.getElementById('searchForm');
+  if (!searchInput || !searchForm) return;
+  searchInput.value = term;
+  searchInput.dispatchEvent(new Event('input'));
+  if (searchForm.requestSubmit) {
+    searchForm.requestSubmit();
+  } else {
+    searchForm.dispatchEvent(new Event('submit', { cancelable: true }));
+  }
+}
+
+/**
+ * Build the library panel and load favourites for the stars
+ */
+function initializeLibrary() {
+  const panel = document.getElementById('library');
+  const toggle = document.getElementById('libraryToggle');
+  if (!panel || !toggle || panel.dataset.initialized) {
+    return;
+  }
+  panel.dataset.initialized = 'true';
+
+  panel.innerHTML = `<div class="library-content">
+    <div class="library-header">
+      <h2 class="library-title">Library</h2>
+      <button type="button" class="library-close" title="Close">&#10006;</button>
+    </div>
+    <div class="library-tabs" role="tablist">
+      <button type="button" role="tab" data-tab="history" aria-selected="true">History</button>
+      <button type="button" role="tab" data-tab="favourites" aria-selected="false">Favourites</button>
+    </div>
+    <div id="libraryList" class="library-list" role="tabpanel"></div>
+    <div class="library-actions">
+      <button type="button" id="libraryClear">Clear history</button>
+      <button type="button" id="libraryExport">Export JSON</button>
+      <label class="library-import">
+        <input id="libraryImport" type="file" accept=".json,application/json" />
+        <span>Import JSON</span>
+      </label>
+    </div>
+    <div id="libraryStatus" class="library-status" aria-live="polite"></div>
+  </div>`;
+
+  const setOpen = open => {
+    panel.classList.toggle('open', open);
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if (open) refreshLibraryPanel();
+  };
+  toggle.addEventListener('click', () => setOpen(!panel.classList.contains('open')));
+  panel.querySelector('.library-close').addEventListener('click', () => setOpen(false));
+
+  panel.querySelector('.library-tabs').addEventListener('click', function(e) {
+    const tab = e.target.closest('[data-tab]');
+    if (!tab) return;
+    panel.querySelectorAll('.library-tabs [data-tab]').forEach(t => t.setAttribute('aria-selected', t === tab ? 'true' : 'false'));
+    refreshLibraryPanel();
+  });
+
+  document.getElementById('libraryList').addEventListener('click', handleLibraryListClick);
+
+  document.getElementById('libraryClear').addEventListener('click', async function() {
+    if (!window.confirm('Clear the whole search history?')) return;
+    try {
+      await libraryTransaction('history', 'readwrite', store => store.clear());
+    } catch (e) {
+      console.warn('Could not clear history:', e);
+    }
+    refreshLibraryPanel();
+  });
+
+  document.getElementById('libraryExport').addEventListener('click', function() {
+    exportLibrary().catch(e => setLibraryStatus(`Export failed: ${e.message}`));
+  });
+
+  document.getElementById('libraryImport').addEventListener('change', function(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    importLibrary(file)
+      .then(counts => setLibraryStatus(`Imported ${counts.history} searches and ${counts.favourites} favourites`))
+      .catch(error => setLibraryStatus(`Import failed: ${error.message}`));
+  });
+
+  listFavourites()
+    .then(favourites => {
+      favourites.forEach(favourite => favouriteKeys.add(favourite.key));
+      updateFavouriteButtons();
+    })
+    .catch(e => console.warn('Could not load favourites:', e));
+}
+
+/**
+ * Shows a message under the library actions
+ * @param {string} message - Message
+ */
+function setLibraryStatus(message) {
+  const status = document.getElementById('libraryStatus');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Handles clicks on history and favourite rows
+ * @param {MouseEvent} e - Click event
+ */
+async function handleLibraryListClick(e) {
+  const row = e.target.closest('[data-term]');
+  if (!row) return;
+
+  const remove = e.target.closest('.library-remove');
+  if (!remove) {
+    runLibrarySearch(row.dataset.term);
+    return;
+  }
+
+  try {
+    if (row.dataset.key) {
+      await libraryTransaction('favourites', 'readwrite', store => store.delete(row.dataset.key));
+      favouriteKeys.delete(row.dataset.key);
+      updateFavouriteButtons();
+    } else {
+      await libraryTransaction('history', 'readwrite', store => store.delete(row.dataset.term));
+    }
+  } catch (error) {
+    console.warn('Could not remove library entry:', error);
+  }
+  refreshLibraryPanel();
+}
+
+/**
+ * Re-renders the open tab of the library panel
+ * @returns {Promise<void>}
+ */
+async function refreshLibraryPanel() {
+  const panel = document.getElementById('library');
+  const list = document.getElementById('libraryList');
+  if (!panel || !list || !panel.classList.contains('open')) return;
+
+  const selected = panel.querySelector('.library-tabs [aria-selected="true"]');
+  const tab = selected ? selected.dataset.tab : 'history';
+  document.getElementById('libraryClear').hidden = tab !== 'history';
+
+  let entries;
+  try {
+    entries = tab === 'history' ? await listHistory() : await listFavourites();
+  } catch (e) {
+    list.innerHTML = `<p class="library-empty">Your browser doesn't allow local storage here, so nothing can be saved.</p>`;
+    return;
+  }
+
+  if (entries.length === 0) {
+    list.innerHTML = `<p class="library-empty">${tab === 'history' ? 'Searches you run appear here.' : 'Star a result to keep it here.'}</p>`;
+    return;
+  }
+
+  const remove = '<button type="button" class="library-remove" title="Remove">&#10006;</button>';
+  if (tab === 'history') {
+    list.innerHTML = entries.map(entry => `<div class="library-item" data-term="${escapeHtml(entry.term)}" title="Search again">
+        <div class="library-text">
+          <span class="library-name">${escapeHtml(entry.term)}</span>
+          <span class="library-meta">${escapeHtml(describeLibraryEntry(entry.entity, entry.countries, entry.lookupMode))} · ${new Date(entry.searchedAt).toLocaleDateString()}</span>
+        </div>
+        ${remove}
+      </div>`).join('');
+    return;
+  }
+
+  list.innerHTML = entries.map(favourite => {
+    const result = favourite.result;
+    const artwork = ArtworkResolver.resolveArtwork(result, favourite.entity);
+    const name = result['collectionName'] || result['trackName'] || '';
+    return `<div class="library-item" data-term="${escapeHtml(favouriteSearchTerm(favourite))}" data-key="${escapeHtml(favourite.key)}" title="Find this release">
+        ${artwork ? `<img class="library-thumb" src="${escapeHtml(artwork.thumbnail)}" alt="" loading="lazy" />` : ''}
+        <div class="library-text">
+          <span class="library-name">${escapeHtml(name)}</span>
+          <span class="library-meta">${escapeHtml(result['artistName'] || '')}</span>
+          <span class="library-meta">${escapeHtml(describeLibraryEntry(favourite.entity, [favourite.country]))}</span>
+        </div>
+        ${remove}
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Downloads the history and favourites as a JSON file
+ * @returns {Promise<void>}
+ */
+async function exportLibrary() {
+  const data = {
+    format: LIBRARY_EXPORT_FORMAT,
+    version: LIBRARY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    history: await listHistory(),
+    favourites: await listFavourites()
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `artwork-library-${data.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  setLibraryStatus(`Exported ${data.history.length} searches and ${data.favourites.length} favourites`);
+}
+
+/**
+ * Whether a URL is an https image on Apple's CDN (*.mzstatic.com)
+ * @param {*} url - Value from an imported file
+ * @returns {boolean} True for mzstatic.com https URLs
+ */
+function isMzstaticUrl(url) {
+  if (typeof url !== 'string') return false;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && /(^|\.)mzstatic\.com$/i.test(parsed.hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Copies the known fields of an imported favourite's result
+ * @param {Object} result - Result from an imported file
+ * @returns {Object|null} Result with LIBRARY_RESULT_FIELDS only, or null when an
+ *   artwork URL is not on mzstatic.com
+ */
+function importedResult(result) {
+  if (LIBRARY_ARTWORK_FIELDS.some(field => result[field] !== undefined && !isMzstaticUrl(result[field]))) {
+    return null;
+  }
+  const kept = {};
+  LIBRARY_RESULT_FIELDS.forEach(field => {
+    const value = result[field];
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      kept[field] = value;
+    }
+  });
+  return kept;
+}
+
+/**
+ * Merges an exported JSON file into the library
+ * Entries already present are kept unless the imported copy is newer.
+ * @param {File} file - JSON file from exportLibrary()
+ * @returns {Promise<{history: number, favourites: number}>} Entries imported
+ */
+async function importLibrary(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    throw new Error('not a JSON file');
+  }
+  if (!data || data.format !== LIBRARY_EXPORT_FORMAT || !Array.isArray(data.history) || !Array.isArray(data.favourites)) {
+    throw new Error('not an exported library');
+  }
+  if (data.version > LIBRARY_EXPORT_VERSION) {
+    throw new Error('exported by a newer version');
+  }
+
+  const history = data.history.filter(entry => entry && typeof entry.term === 'string' && entry.term &&
+    typeof entry.searchedAt === 'number');
+  const favourites = data.favourites.filter(entry => entry && entry.result && typeof entry.result === 'object' &&
+    typeof entry.addedAt === 'number')
+    .map(entry => Object.assign({}, entry, { result: importedResult(entry.result) }))
+    .filter(entry => entry.result)
+    .map(entry => Object.assign({}, entry, { key: resultKey(entry.result) }));
+
+  const existingHistory = new Map((await listHistory()).map(entry => [entry.term, entry]));
+  const existingFavourites = new Map((await listFavourites()).map(entry => [entry.key, entry]));
+  const newHistory = history.filter(entry => !existingHistory.has(entry.term) || existingHistory.get(entry.term).searchedAt < entry.searchedAt);
+  const newFavourites = favourites.filter(entry => !existingFavourites.has(entry.key));
+
+  await libraryTransaction('history', 'readwrite', store => {
+    newHistory.forEach(entry => store.put({
+      term: entry.term,
+      entity: entry.entity,
+      countries: Array.isArray(entry.countries) ? entry.countries : [],
+      lookupMode: Boolean(entry.lookupMode),
+      searchedAt: entry.searchedAt
+    }));
+  });
+  await libraryTransaction('favourites', 'readwrite', store => {
+    newFavourites.forEach(entry => store.put({
+      key: entry.key,
+      result: entry.result,
+      entity: entry.entity,
+      country: entry.country,
+      addedAt: entry.addedAt
+    }));
+  });
+
+  newFavourites.forEach(entry => favouriteKeys.add(entry.key));
+  updateFavouriteButtons();
+  refreshLibraryPanel();
+  return { history: newHistory.length, favourites: newFavourites.length };
+}
@@ -0,0 +1,121 @@
+/* Shareable Links
+   - Keeps the selected card and the open artwork in the page URL, next to the term and filters
+   - Restores them once the results of a linked search are shown
+   - Back/forward run the search of that history entry without reloading the page
+*/
+
+// URL query parameters for the view; values are resultKey()s
+const VIEW_PARAMS = {
+  selected: 'selected',
+  artwork: 'view'
+};
+
+// popstate is only listened for once, although onload can run twice
+let deepLinksInitialized = false;
+
+/**
+ * Starts handling back/forward between searches
+ */
+function initializeDeepLinks() {
+  if (deepLinksInitialized) {
+    return;
+  }
+  deepLinksInitialized = true;
+  window.addEventListener('popstate', () => searchFromLocation());
+}
+
+/**
+ * Runs the search in the page URL, or clears the results when the URL has none
+ * The search box, options panel and filters are all taken from the URL.
+ * @returns {Promise<void>}
+ */
+async function searchFromLocation() {
+  const params = new URLSearchParams(window.location.search);
+  const term = params.get('term');
+  // country, entity, attribute and format parameters take precedence over the term's prefixes;
+  // without a term they only preset the search box
+  const searchText = applySearchOptionParams(term || '', params);
+
+  // The shown results belong to another history entry; don't record their view in this URL
+  window.currentResults = null;
+  window.currentSearch = null;
+  if (isArtworkModalOpen()) {
+    closeArtworkModal();
+  }
+
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput) {
+    searchInput.value = searchText;
+    searchInput.dispatchEvent(new Event('input'));
+  }
+
+  if (!term) {
+    document.getElementById('results').innerHTML = '';
+    return;
+  }
+  const parsed = parseSearchTerm(searchText);
+  window.usePng = parsed.usePng; // Store globally for modal use
+  await performSearch(parsed.searchTerm, parsed.entity, parsed.countryCode, parsed.usePng, parsed);
+}
+
+/**
+ * Writes the selected card and the open artwork to the page URL without adding a history entry
+ */
+function updateViewParams() {
+  const current = window.currentResults;
+  if (!current) return;
+
+  const keyFor = element => {
+    const item = element && current.items[element.dataset.index];
+    return item ? resultKey(item) : '';
+  };
+  const values = {
+    selected: keyFor(document.querySelector('#results .result.selected')),
+    artwork: isArtworkModalOpen() ? keyFor(document.getElementById('artworkModal')) : ''
+  };
+
+  const url = new URL(window.location);
+  Object.keys(VIEW_PARAMS).forEach(name => {
+    if (values[name]) {
+      url.searchParams.set(VIEW_PARAMS[name], values[name]);
+    } else {
+      url.searchParams.delete(VIEW_PARAMS[name]);
+    }
+  });
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+}
+
+/**
+ * Removes the view parameters from a URL (used when starting a new search)
+ * @param {URL} url - URL to change
+ */
+function clearViewParams(url) {
+  Object.values(VIEW_PARAMS).forEach(name => url.searchParams.delete(name));
+}
+
+/**
+ * Selects the card and opens the artwork named in the page URL
+ * Results that are not on the first page are not loaded, and are skipped.
+ * @param {Element} resultsDiv - Results container
+ */
+function restoreViewParams(resultsDiv) {
+  const current = window.currentResults;
+  if (!current) return;
+  const params = new URLSearchParams(window.location.search);
+
+  const cardFor = key => {
+    const index = key ? current.items.findIndex(item => resultKey(item) === key) : -1;
+    return index === -1 ? null : resultsDiv.querySelector(`.result[data-index="${index}"]`);
+  };
+  const selected = cardFor(params.get(VIEW_PARAMS.selected));
+  const artwork = cardFor(params.get(VIEW_PARAMS.artwork));
+
+  if (selected) {
+    selectResultCard(selected, true);
+  }
+  if (artwork) {
+    openArtworkModal(artwork);
+  }
+}
@@ -0,0 +1,225 @@
+/* Search Options Panel
+   - Storefront, media type, attribute and format controls under the search box
+   - Each control edits its prefix in the search box, and typing a prefix updates the control
+   - country, entity, attribute and format URL parameters are turned into prefixes on load
+*/
+
+// Token types (from parseSearchTerm) each option reads and writes
+const SEARCH_OPTION_TOKENS = {
+  country: ['country', 'storefronts'],
+  entity: ['entity'],
+  attribute: ['attribute'],
+  format: ['format']
+};
+
+// Order options are written in when the search box has none of them yet
+const SEARCH_OPTION_ORDER = ['country', 'entity', 'attribute'];
+
+/**
+ * Builds the options panel and keeps it in sync with the search box
+ */
+function initializeSearchOptions() {
+  const panel = document.getElementById('options');
+  const searchInput = document.getElementById('searchInput');
+  if (!panel || !searchInput || panel.dataset.initialized) {
+    return;
+  }
+  panel.dataset.initialized = 'true';
+
+  const countryOptions = Object.keys(ItunesParams.COUNTRY_PREFIXES)
+    .map(prefix => ({ prefix, name: storefrontName(ItunesParams.COUNTRY_PREFIXES[prefix]) }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ prefix, name }) => `<option value="${prefix}">${escapeHtml(name)}</option>`)
+    .join('');
+  const entityOptions = Object.keys(ENTITY_PREFIXES)
+    .map(prefix => `<option value="${prefix}">${(LIBRARY_ENTITIES[ENTITY_PREFIXES[prefix]] || [prefix, prefix])[1]}</option>`)
+    .join('');
+  const attributeOptions = Object.keys(ATTRIBUTE_PREFIXES)
+    .map(prefix => `<option value="${prefix}">${prefix.charAt(0).toUpperCase()}${prefix.slice(1, -1)}</option>`)
+    .join('');
+
+  panel.innerHTML = `<div class="search-options">
+      <label>Storefront
+        <select data-option="country">
+          <option value="">Default (United States)</option>
+          <option value="all:">${SYNTAX_KEY_LABELS['all:']}</option>
+          <optgroup label="Storefronts">${countryOptions}</optgroup>
+        </select>
+      </label>
+      <label>Media
+        <select data-option="entity">
+          <option value="">Default (Album)</option>
+          ${entityOptions}
+        </select>
+      </label>
+      <label>Search by
+        <select data-option="attribute">
+          <option value="">Anything</option>
+          ${attributeOptions}
+        </select>
+      </label>
+      <label>Format
+        <select data-option="format">
+          <option value="">JPG</option>
+          <option value=".png">PNG</option>
+        </select>
+      </label>
+    </div>`;
+
+  panel.addEventListener('change', function(e) {
+    const select = e.target.closest('select[data-option]');
+    if (!select) return;
+    searchInput.value = setSearchOption(searchInput.value, select.dataset.option, select.value);
+    // Let the chips, the clear button and this panel catch up
+    searchInput.dispatchEvent(new Event('input'));
+  });
+  searchInput.addEventListener('input', syncSearchOptions);
+
+  syncSearchOptions();
+}
+
+/**
+ * Sets the controls from the prefixes in the search box
+ */
+function syncSearchOptions() {
+  const panel = document.getElementById('options');
+  const searchInput = document.getElementById('searchInput');
+  if (!panel || !searchInput || !panel.dataset.initialized) return;
+  const query = parseSearchTerm(searchInput.value);
+
+  Object.keys(SEARCH_OPTION_TOKENS).forEach(name => {
+    const select = panel.querySelector(`select[data-option="${name}"]`);
+    const token = query.tokens.find(t => SEARCH_OPTION_TOKENS[name].includes(t.type));
+    const value = token ? token.key : '';
+
+    // Storefront lists (us,gb,jp:) get an option of their own while typed
+    if (name === 'country') {
+      select.querySelectorAll('option[data-list]').forEach(option => {
+        if (option.value !== value) option.remove();
+      });
+      if (value && !select.querySelector(`option[value="${value}"]`)) {
+        const option = new Option(syntaxTokenLabel(token), value);
+        option.dataset.list = 'true';
+        select.add(option, 2);
+      }
+    }
+    select.value = value;
+  });
+
+  // Attributes Apple has no equivalent for in the chosen media can't be picked
+  const media = ItunesParams.ENTITY_MEDIA[query.entity].media;
+  panel.querySelectorAll('select[data-option="attribute"] option[value]').forEach(option => {
+    const attribute = ATTRIBUTE_PREFIXES[option.value];
+    option.disabled = Boolean(attribute) && query.tokens.some(t => t.type === 'entity') &&
+      !ItunesParams.attributeForMedia(attribute.attribute, media, query.entity);
+  });
+}
+
+/**
+ * Rewrites an option's prefix in search box text
+ * An existing prefix is replaced where it is (so "uk:adele" stays chained), or
+ * removed when value is empty. A new prefix goes after the options before it
+ * (storefront, media, attribute), and .png goes at the end.
+ * @param {string} text - Search box text
+ * @param {string} name - 'country', 'entity', 'attribute' or 'format'
+ * @param {string} value - Prefix to write ('uk:', 'album:', '.png'), or '' for none
+ * @returns {string} New search box text
+ */
+function setSearchOption(text, name, value) {
+  const query = parseSearchTerm(text);
+  const tokens = query.tokens.filter(token => SEARCH_OPTION_TOKENS[name].includes(token.type));
+
+  // Work from the end so earlier positions stay valid
+  let next = text;
+  tokens.slice(value ? 1 : 0).reverse().forEach(token => {
+    next = removeSearchToken(next, token);
+  });
+  if (tokens.length > 0 && value) {
+    return next.slice(0, tokens[0].start) + value + next.slice(tokens[0].end);
+  }
+  if (!value) {
+    return next;
+  }
+
+  if (name === 'format') {
+    return next.trim() ? `${next.replace(/\s+$/, '')} ${value}` : value;
+  }
+  const earlier = SEARCH_OPTION_ORDER.slice(0, SEARCH_OPTION_ORDER.indexOf(name))
+    .reduce((types, option) => types.concat(SEARCH_OPTION_TOKENS[option]), []);
+  const position = query.tokens
+    .filter(token => earlier.includes(token.type))
+    .reduce((end, token) => Math.max(end, token.end), 0);
+  const before = position > 0 && !/\s/.test(next[position - 1]) ? ' ' : '';
+  const after = /\s/.test(next.charAt(position)) ? '' : ' ';
+  return next.slice(0, position) + before + value + after + next.slice(position);
+}
+
+/**
+ * Removes a token from search box text, with the space after it when it stood alone
+ * @param {string} text - Search box text
+ * @param {Object} token - Token from parseSearchTerm() ({ start, end })
+ * @returns {string} Text without the token
+ */
+function removeSearchToken(text, token) {
+  const before = text.slice(0, token.start);
+  let after = text.slice(token.end);
+  if (!before || /\s$/.test(before)) {
+    after = after.replace(/^\s+/, '');
+  }
+  const result = before + after;
+  return after ? result : result.replace(/\s+$/, '');
+}
+
+/**
+ * Prefix an option URL parameter stands for
+ * Accepts prefixes without the colon (uk, app, artist) as well as the codes and
+ * names Apple uses (gb, software, artistTerm).
+ * @param {string} name - 'country', 'entity', 'attribute' or 'format'
+ * @param {string} param - Parameter value
+ * @returns {string|null} Prefix ('' for the default), or null when the value is not recognised
+ */
+function searchOptionFromParam(name, param) {
+  const value = param.trim().toLowerCase();
+  const findKey = (map, match) => Object.keys(map).find(key => match(key, map[key])) || null;
+
+  if (name === 'country') {
+    if (ItunesParams.STOREFRONT_PRESETS[value] || (value.includes(',') && parseStorefrontList(value))) return `${value}:`;
+    if (ItunesParams.COUNTRY_PREFIXES[`${value}:`]) return `${value}:`;
+    return findKey(ItunesParams.COUNTRY_PREFIXES, (key, code) => code === value);
+  }
+  if (name === 'entity') {
+    if (ENTITY_PREFIXES[`${value}:`]) return `${value}:`;
+    return findKey(ENTITY_PREFIXES, (key, entity) => entity.toLowerCase() === value);
+  }
+  if (name === 'attribute') {
+    if (ATTRIBUTE_PREFIXES[`${value}:`]) return `${value}:`;
+    return findKey(ATTRIBUTE_PREFIXES, (key, mapping) => mapping.attribute.toLowerCase() === value);
+  }
+  if (value === 'png' || value === 'jpg') {
+    return value === 'png' ? '.png' : '';
+  }
+  return null;
+}
+
+/**
+ * Writes the option URL parameters (country, entity, attribute, format) into a search term
+ * A parameter replaces the matching prefix of the term, so ?term=uk:adele&country=jp searches Japan.
+ * @param {string} term - Term from the URL
+ * @param {URLSearchParams} params - Page URL parameters
+ * @returns {string} Term with the parameters as prefixes
+ */
+function applySearchOptionParams(term, params) {
+  return Object.keys(SEARCH_OPTION_TOKENS).reduce((text, name) => {
+    const param = params.get(name);
+    const value = param === null ? null : searchOptionFromParam(name, param);
+    return value === null ? text : setSearchOption(text, name, value);
+  }, term);
+}
+
+/**
+ * Removes the option parameters from a URL (the term carries them after a search)
+ * @param {URL} url - URL to change
+ */
+function clearSearchOptionParams(url) {
+  Object.keys(SEARCH_OPTION_TOKENS).forEach(name => url.searchParams.delete(name));
+}
@@ -0,0 +1,247 @@
+/* Result Paging
+   - Remembers the preferred page size
+   - Results bar with the loaded count and a page size picker
+   - "Load more" button that also loads the next page when scrolled into view
+*/
+
+// localStorage key for the preferred page size
+const PAGE_SIZE_KEY = 'artworkPageSize';
+
+// Page sizes offered in the results bar (iTunes allows 1-200)
+const PAGE_SIZE_OPTIONS = [25, 50, 60, 100, 200];
+
+/**
+ * Returns the saved page size, or the default when none is saved
+ * @returns {number} Results per page
+ */
+function loadPageSize() {
+  try {
+    const saved = parseInt(localStorage.getItem(PAGE_SIZE_KEY), 10);
+    if (saved >= 1 && saved <= ItunesParams.MAX_LIMIT) {
+      return saved;
+    }
+  } catch (e) {
+    // Storage can be unavailable (private mode, blocked cookies)
+  }
+  return ItunesParams.DEFAULT_LIMIT;
+}
+
+/**
+ * Saves the preferred page size
+ * @param {number} size - Results per page
+ */
+function savePageSize(size) {
+  try {
+    localStorage.setItem(PAGE_SIZE_KEY, String(size));
+  } catch (e) {
+    console.warn('Could not save page size:', e);
+  }
+}
+
+/**
+ * Raw number of results a page returned, before storefront merging
+ * A page shorter than the requested limit means there is nothing more to load.
+ * @param {Object} response - iTunes response or fetchAcrossStorefronts() result
+ * @returns {number} Result count
+ */
+function pageLength(response) {
+  if (typeof response.largestPage === 'number') {
+    return response.largestPage;
+  }
+  return Array.isArray(response.results) ? response.results.length : 0;
+}
+
+/**
+ * Key identifying a result across pages and storefronts
+ * @param {Object} result - iTunes search/lookup result
+ * @returns {string} wrapperType and Apple ID
+ */
+function resultKey(result) {
+  return `${result['wrapperType']}:${appleIdForResult(result)}`;
+}
+
+/**
+ * Adds the results bar above and the "Load more" footer below the cards
+ * @param {Element} resultsDiv - Results container
+ */
+function renderPagingControls(resultsDiv) {
+  const search = window.currentSearch;
+  const size = search ? search.limit : loadPageSize();
+  const sizes = PAGE_SIZE_OPTIONS.includes(size) ? PAGE_SIZE_OPTIONS : PAGE_SIZE_OPTIONS.concat(size).sort((a, b) => a - b);
+
+  resultsDiv.insertAdjacentHTML('afterbegin', `<div class="results-bar">
+      <span class="results-count"></span>
+      <label>Per page
+        <select class="page-size">
+          ${sizes.map(n => `<option value="${n}"${n === size ? ' selected' : ''}>${n}</option>`).join('')}
+        </select>
+      </label>
+    </div>`);
+  resultsDiv.insertAdjacentHTML('beforeend', `<div class="results-more">
+      <button type="button" class="load-more">Load more</button>
+      <span class="load-more-status" aria-live="polite"></span>
+    </div>`);
+
+  const select = resultsDiv.querySelector('.results-bar .page-size');
+  select.addEventListener('change', function() {
+    const limit = parseInt(select.value, 10);
+    savePageSize(limit);
+    // Applies from the next page on; already loaded results stay
+    if (window.currentSearch) {
+      window.currentSearch.limit = limit;
+    }
+  });
+
+  const footer = resultsDiv.querySelector('.results-more');
+  footer.querySelector('.load-more').addEventListener('click', () => loadMoreResults());
+
+  // Infinite scroll: load the next page when the footer comes into view
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver(entries => {
+      if (!footer.isConnected) {
+        observer.disconnect();
+        return;
+      }
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadMoreResults().then(() => {
+          // Re-observe so a footer still in view after a short page triggers again
+          if (footer.isConnected) {
+            observer.unobserve(footer);
+            observer.observe(footer);
+          }
+        });
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(footer);
+  }
+
+  updatePagingControls(resultsDiv);
+}
+
+/**
+ * Refreshes the loaded count and the "Load more" footer
+ * @param {Element} resultsDiv - Results container
+ * @param {string} [status] - Message for the footer (progress or error)
+ */
+function updatePagingControls(resultsDiv, status) {
+  const search = window.currentSearch;
+  const footer = resultsDiv.querySelector('.results-more');
+  if (!footer) return;
+  updateResultCount(resultsDiv);
+
+  const more = search && !search.exhausted;
+  const button = footer.querySelector('.load-more');
+  button.hidden = !more;
+  button.disabled = Boolean(search && search.loading);
+  button.textContent = search && search.loading ? 'Loading...' : 'Load more';
+  footer.querySelector('.load-more-status').textContent = status || '';
+}
+
+/**
+ * Shows how many results are loaded, and how many of them match the filters
+ * @param {Element} resultsDiv - Results container
+ */
+function updateResultCount(resultsDiv) {
+  const count = resultsDiv.querySelector('.results-count');
+  if (!count) return;
+
+  const search = window.currentSearch;
+  const loaded = resultsDiv.querySelectorAll('.result').length;
+  const hidden = resultsDiv.querySelectorAll('.result.filtered-out').length;
+  const more = search && !search.exhausted ? ', more available' : '';
+  count.textContent = hidden
+    ? `${loaded - hidden} of ${loaded} results match${more}`
+    : `${loaded} result${loaded === 1 ? '' : 's'}${more}`;
+}
+
+/**
+ * Loads the next page of the current search and appends it
+ * @returns {Promise<void>}
+ */
+async function loadMoreResults() {
+  const search = window.currentSearch;
+  const resultsDiv = document.getElementById('results');
+  if (!search || search.exhausted || search.loading) return;
+
+  search.loading = true;
+  updatePagingControls(resultsDiv);
+
+  const page = { limit: search.limit, offset: search.offset };
+  const onWait = (e, secondsLeft) => updatePagingControls(resultsDiv, describeSearchError(e, secondsLeft));
+  let response;
+  let error;
+  try {
+    response = await search.fetchPage(page, onWait);
+  } catch (e) {
+    error = e;
+  }
+
+  // A newer search replaced the results while this page was loading
+  if (window.currentSearch !== search) return;
+  search.loading = false;
+
+  if (!response) {
+    updatePagingControls(resultsDiv, error ? describeSearchError(error) : 'Could not load more results');
+    return;
+  }
+
+  search.offset += page.limit;
+  search.exhausted = pageLength(response) < page.limit || search.offset >= ItunesParams.MAX_OFFSET;
+  const added = appendResults(resultsDiv, response.results || []);
+  updateFilterOptions(resultsDiv);
+  applyResultFilters(resultsDiv);
+  updatePagingControls(resultsDiv, added === 0 && !search.exhausted ? 'No new results on this page' : '');
+  groupResultVariants(resultsDiv);
+}
+
+/**
+ * Appends a page to window.currentResults and renders its new cards
+ * Results already shown (the same release returned again, or found in another
+ * storefront on a later page) are merged into the existing card instead.
+ * @param {Element} resultsDiv - Results container
+ * @param {Object[]} results - Results of the page
+ * @returns {number} Number of new results
+ */
+function appendResults(resultsDiv, results) {
+  const current = window.currentResults;
+  const indexes = new Map(current.items.map((item, index) => [resultKey(item), index]));
+  const added = [];
+
+  results.forEach(result => {
+    const key = resultKey(result);
+    if (!indexes.has(key)) {
+      indexes.set(key, current.items.length);
+      added.push(current.items.length);
+      current.items.push(result);
+      return;
+    }
+
+    const index = indexes.get(key);
+    const existing = current.items[index];
+    if (!result.storefronts || !existing.storefronts) return;
+    const newStorefronts = result.storefronts.filter(code => !existing.storefronts.includes(code));
+    if (newStorefronts.length === 0) return;
+
+    newStorefronts.forEach(code => {
+      existing.storefronts.push(code);
+      existing.storefrontArtwork[code] = result.storefrontArtwork[code];
+    });
+    existing.artworkDiffers = storefrontArtworkDiffers(existing);
+
+    const card = resultsDiv.querySelector(`.result[data-index="${index}"]`);
+    const badges = card && card.querySelector('.storefronts');
+    if (badges) {
+      badges.outerHTML = renderStorefrontBadges(existing, current.storefronts);
+      initializeStorefrontBadges(card);
+    }
+  });
+
+  const format = current.usePng ? 'png' : 'jpg';
+  const holder = document.createElement('div');
+  holder.innerHTML = added.map(index => renderResultCard(current.items[index], index, current.entity, format, current.storefronts)).join('');
+  initializeResultCards(holder);
+
+  const footer = resultsDiv.querySelector('.results-more');
+  Array.from(holder.children).forEach(card => resultsDiv.insertBefore(card, footer));
+  return added.length;
+}
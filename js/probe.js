@@ -0,0 +1,159 @@
+/* Artwork Resolution Probing
+   - Reads the true pixel size and byte size of each result's HD original
+   - Probes cards lazily as they scroll into view, a few at a time
+   - Labels the HD link with the real resolution and marks sizes the source can't deliver
+   - Needs /api/probe; local development without the API routes skips probing
+*/
+
+// Probes in flight at once
+const PROBE_CONCURRENCY = 3;
+
+// HD URL -> Promise of its probe, so each image is only probed once per page
+const artworkProbes = new Map();
+
+const probeQueue = [];
+let activeProbes = 0;
+
+/**
+ * @typedef {Object} ArtworkProbe
+ * @property {number|null} width - Pixel width of the source
+ * @property {number|null} height - Pixel height of the source
+ * @property {number|null} bytes - File size of the source
+ * @property {string|null} type - 'jpeg', 'png', 'tiff' or 'webp'
+ */
+
+/**
+ * Probes an image through /api/probe, which only reads the file header
+ * @param {string} url - Image URL
+ * @returns {Promise<ArtworkProbe>} Probe
+ */
+async function probeWithProxy(url) {
+  const response = await fetch(`/api/probe?${new URLSearchParams({ url })}`);
+  if (!response.ok) {
+    throw await proxyResponseError(response, 'Probe');
+  }
+  return response.json();
+}
+
+/**
+ * Returns the probe for an image, starting it when a slot is free
+ * Failed probes resolve to null so cards simply stay unlabelled. On localhost
+ * there is no probe route, and loading every HD original instead would download
+ * megabytes per card, so nothing is probed.
+ * @param {string} url - HD artwork URL
+ * @returns {Promise<ArtworkProbe|null>} Probe
+ */
+function probeArtwork(url) {
+  const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+  if (isLocalhost) {
+    return Promise.resolve(null);
+  }
+  if (!artworkProbes.has(url)) {
+    artworkProbes.set(url, new Promise(resolve => {
+      probeQueue.push({ url, resolve });
+      runProbeQueue();
+    }));
+  }
+  return artworkProbes.get(url);
+}
+
+/**
+ * Starts queued probes while fewer than PROBE_CONCURRENCY are running
+ */
+function runProbeQueue() {
+  while (activeProbes < PROBE_CONCURRENCY && probeQueue.length > 0) {
+    const { url, resolve } = probeQueue.shift();
+    activeProbes++;
+    probeWithProxy(url)
+      .then(probe => resolve(probe && probe.width && probe.height ? probe : null))
+      .catch(error => {
+        console.warn('Artwork probe failed:', url, error);
+        resolve(null);
+      })
+      .finally(() => {
+        activeProbes--;
+        runProbeQueue();
+      });
+  }
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "812 KB" or "4.2 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Short description of a probed source
+ * @param {ArtworkProbe} probe - Probe
+ * @returns {string} e.g. "1400×1400 · 812 KB"
+ */
+function describeProbe(probe) {
+  const size = `${probe.width}×${probe.height}`;
+  return probe.bytes ? `${size} · ${formatBytes(probe.bytes)}` : size;
+}
+
+/**
+ * Shows a probe on a card or in the modal
+ * The HD link is relabelled with the real resolution, and numbered sizes larger
+ * than the source are marked, since Apple can only deliver the source size or an upscale.
+ * @param {Element} container - Card or modal content holding .artwork-info and download links
+ * @param {ArtworkProbe|null} probe - Probe, or null to leave the container as is
+ */
+function applyArtworkProbe(container, probe) {
+  if (!probe) return;
+
+  const info = container.querySelector('.artwork-info');
+  if (info) {
+    info.textContent = describeProbe(probe);
+    info.title = `Original artwork: ${probe.width}×${probe.height}${probe.type ? ` ${probe.type.toUpperCase()}` : ''}`;
+  }
+
+  const sourceSize = Math.max(probe.width, probe.height);
+  container.querySelectorAll('a[data-size]').forEach(link => {
+    const size = link.dataset.size;
+    const span = link.querySelector('span');
+    if (size === 'hd' && span) {
+      span.textContent = `${probe.width}×${probe.height}`;
+      link.title = 'Original (HD)';
+    } else if (/^\d+$/.test(size) && Number(size) > sourceSize) {
+      link.classList.add('exceeds-source');
+      link.title = `Source is only ${probe.width}×${probe.height}; this size will be upscaled`;
+    }
+  });
+}
+
+/**
+ * Probes the HD artwork of every rendered card as it scrolls into view
+ * @param {Element} resultsDiv - Results container
+ */
+function observeArtworkProbes(resultsDiv) {
+  const probeCard = card => {
+    const url = card.dataset.hd;
+    if (url) {
+      probeArtwork(url).then(probe => applyArtworkProbe(card, probe));
+    }
+  };
+
+  const cards = resultsDiv.querySelectorAll('.result[data-hd]');
+  if (!('IntersectionObserver' in window)) {
+    cards.forEach(probeCard);
+    return;
+  }
+
+  const observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        observer.unobserve(entry.target);
+        probeCard(entry.target);
+      }
+    });
+  }, { rootMargin: '200px' });
+  cards.forEach(card => observer.observe(card));
+}
@@ -0,0 +1,457 @@
+/* Search Query Language
+   - Splits the search box text into words, "quoted phrases" and key: tokens
+   - Tokens may appear in any order and position; unknown keys stay part of the search text
+   - parseSearchTerm() turns them into the query used by performSearch() and batch mode,
+     with the recognised tokens and any parse errors
+*/
+
+// Attribute prefixes mapped to iTunes API attributes and their default entities
+const ATTRIBUTE_PREFIXES = {
+  'artist:': { entity: 'album', attribute: 'artistTerm' },
+  'title:': { entity: 'album', attribute: 'titleTerm' },
+  'author:': { entity: 'audiobook', attribute: 'authorTerm' },
+  'director:': { entity: 'movie', attribute: 'directorTerm' },
+  'actor:': { entity: 'movie', attribute: 'actorTerm' },
+  'composer:': { entity: 'album', attribute: 'composerTerm' }
+};
+
+// Entity prefixes mapped to iTunes API entities
+const ENTITY_PREFIXES = {
+  'album:': 'album',
+  'song:': 'song',
+  'audiobook:': 'audiobook',
+  'ebook:': 'ebook',
+  'movie:': 'movie',
+  'tv:': 'tvSeason',
+  'app:': 'software',
+  'podcast:': 'podcast'
+};
+
+// Keys that take a value (year:2020, limit:100); the value may also be the next word (year: 2020)
+const QUERY_VALUE_KEYS = ['year', 'explicit', 'limit', 'lang', 'type', 'isbn', 'upc', 'artistid'];
+
+// explicit: values mapped to the Content filter
+const QUERY_EXPLICIT_VALUES = {
+  'yes': 'explicit',
+  'only': 'explicit',
+  'explicit': 'explicit',
+  'no': 'clean',
+  'clean': 'clean'
+};
+
+// lang: values mapped to the result languages Apple's Search API accepts
+const QUERY_LANGUAGES = {
+  'en': 'en_us',
+  'en_us': 'en_us',
+  'ja': 'ja_jp',
+  'ja_jp': 'ja_jp'
+};
+
+// type: values, matching the release types of the Type filter
+const QUERY_RELEASE_TYPES = ['album', 'ep', 'single'];
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Known key closest to a misspelt one
+ * Short words are left alone since "re:" or "son:" are as likely to be part of a title.
+ * @param {string} key - Key without the colon
+ * @returns {string|null} Suggested key with its colon, or null when nothing is close
+ */
+function closestPrefix(key) {
+  if (key.length < 4) return null;
+  const allowed = key.length < 6 ? 1 : 2;
+  let best = null;
+  let bestDistance = Infinity;
+  Object.keys(ENTITY_PREFIXES)
+    .concat(Object.keys(ATTRIBUTE_PREFIXES), QUERY_VALUE_KEYS.map(name => `${name}:`))
+    .forEach(prefix => {
+      const distance = editDistance(key, prefix.slice(0, -1));
+      if (distance < bestDistance) {
+        best = prefix;
+        bestDistance = distance;
+      }
+    });
+  return bestDistance <= allowed ? best : null;
+}
+
+/**
+ * What a key means to the parser
+ * @param {string} key - Lower-cased key without the colon
+ * @returns {string|null} 'storefronts', 'country', 'entity', 'attribute', 'value' or null for an unknown key
+ */
+function queryKeyKind(key) {
+  if (/^[a-z]{2}(,[a-z]{2})+$/.test(key) || ItunesParams.STOREFRONT_PRESETS[key]) return 'storefronts';
+  if (ItunesParams.COUNTRY_PREFIXES[`${key}:`]) return 'country';
+  if (ENTITY_PREFIXES[`${key}:`]) return 'entity';
+  if (ATTRIBUTE_PREFIXES[`${key}:`]) return 'attribute';
+  if (QUERY_VALUE_KEYS.includes(key)) return 'value';
+  return null;
+}
+
+/**
+ * Splits search text into whitespace-separated words
+ * Double quotes group words into one and stop keys being read inside them:
+ * "uk: the album" is searched as typed, artist:"the the" sets the attribute.
+ * @param {string} text - Search text
+ * @returns {Object} { words: [{ text, start, end, literalFrom, quoted }], errors }
+ *   where text has the quotes removed and literalFrom is where the first quoted part starts in it
+ */
+function tokenizeQuery(text) {
+  const words = [];
+  const errors = [];
+  let pos = 0;
+  while (pos < text.length) {
+    if (/\s/.test(text[pos])) {
+      pos++;
+      continue;
+    }
+    const word = { text: '', start: pos, end: pos, literalFrom: Infinity, quoted: false };
+    while (pos < text.length && !/\s/.test(text[pos])) {
+      if (text[pos] !== '"') {
+        word.text += text[pos];
+        pos++;
+        continue;
+      }
+      word.literalFrom = Math.min(word.literalFrom, word.text.length);
+      word.quoted = true;
+      const close = text.indexOf('"', pos + 1);
+      if (close === -1) {
+        errors.push({ start: pos, end: text.length, message: 'Missing closing quote' });
+        word.text += text.slice(pos + 1);
+        pos = text.length;
+      } else {
+        word.text += text.slice(pos + 1, close);
+        pos = close + 1;
+      }
+    }
+    word.end = pos;
+    words.push(word);
+  }
+  return { words, errors };
+}
+
+/**
+ * Parses search box text into a search query
+ * Keys may appear anywhere, alone ("uk: adele") or chained onto a word
+ * ("uk:album:artist:adele"). A key given twice keeps its first value and
+ * reports an error; unknown keys are searched as text.
+ * @param {string} rawTerm - Search box text
+ * @returns {Object} Query: { searchTerm, entity, countryCode, countries, usePng, attribute, limit, lang,
+ *   filters, lookupMode, lookupKey, lookupParams, artistId, tokens, errors } where filters holds the type,
+ *   explicit and years result filters, artistId is set for the artist discography view
+ *   (artistid: and artist links), tokens are the recognised tokens
+ *   ({ type, key, value, text, start, end }) and errors are { start, end, message, replacement }
+ */
+function parseSearchTerm(rawTerm) {
+  const text = rawTerm || '';
+  const query = {
+    searchTerm: '',
+    entity: 'album',
+    countryCode: 'us',
+    countries: ['us'],
+    usePng: false,
+    attribute: '',
+    limit: undefined,
+    lang: undefined,
+    filters: {},
+    lookupMode: false,
+    lookupKey: 'id',
+    lookupParams: undefined,
+    artistId: undefined,
+    tokens: [],
+    errors: []
+  };
+  const { words, errors } = tokenizeQuery(text);
+  query.errors = errors;
+
+  const seen = {};
+  const textParts = [];
+  let entity = null;
+  let attributePrefix = null;
+  let identifier = null;
+  const addToken = (type, key, value, start, end) => {
+    const token = { type, key, value, text: text.slice(start, end), start, end };
+    query.tokens.push(token);
+    return token;
+  };
+  const addError = (start, end, message, replacement) => {
+    query.errors.push(replacement ? { start, end, message, replacement } : { start, end, message });
+  };
+  // Keys of one kind conflict with each other; the first one wins
+  const conflicts = (kind, start, end, prefix) => {
+    if (!seen[kind]) return false;
+    const message = kind === 'storefront'
+      ? `Only one storefront prefix is used; list several as us,uk: instead of ${seen[kind].text.trim()} and ${prefix}`
+      : `${prefix} conflicts with ${seen[kind].text.trim()}; only the first is used`;
+    addError(start, end, message);
+    return true;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    // Keys are only read before the first quote
+    let keyed = word.text.slice(0, word.literalFrom);
+    let literal = word.text.slice(word.literalFrom);
+    let offset = 0;
+
+    // .png on its own, or at the end of the last word ("Nolan.png")
+    if (!word.quoted && /\.png$/i.test(keyed) && (keyed.length === 4 || i === words.length - 1)) {
+      seen.format = addToken('format', '.png', 'png', word.end - 4, word.end);
+      query.usePng = true;
+      keyed = keyed.slice(0, -4);
+      if (!keyed) continue;
+    }
+
+    let match;
+    while ((match = keyed.slice(offset).match(/^([a-z]+(?:,[a-z]+)*):/i))) {
+      const key = match[1].toLowerCase();
+      const prefix = `${key}:`;
+      const kind = queryKeyKind(key);
+      const start = word.start + offset;
+      const end = start + match[0].length;
+
+      if (kind === null) {
+        const suggestion = closestPrefix(key);
+        if (suggestion) {
+          addError(start, end, `Unknown prefix ${prefix}`, suggestion);
+        }
+        break;
+      }
+      offset += match[0].length;
+
+      if (kind === 'value') {
+        // The value is the rest of the word, or the next word after "key: "
+        let value = word.text.slice(offset);
+        let valueEnd = word.end;
+        if (!value && i + 1 < words.length) {
+          i++;
+          value = words[i].text;
+          valueEnd = words[i].end;
+        }
+        offset = keyed.length;
+        literal = '';
+        applyQueryValue(query, { key, value, start, end: valueEnd }, { seen, addToken, addError, conflicts, setIdentifier: token => { identifier = token; } });
+        break;
+      }
+
+      if (kind === 'storefronts' || kind === 'country') {
+        if (conflicts('storefront', start, end, prefix)) continue;
+        if (kind === 'storefronts') {
+          const countries = parseStorefrontList(key);
+          const unknown = ItunesParams.STOREFRONT_PRESETS[key] ? [] : key.split(',')
+            .filter(code => !ItunesParams.COUNTRY_PREFIXES[`${code}:`] && !ItunesParams.COUNTRY_CODES.includes(code));
+          if (unknown.length > 0 || !countries) {
+            addError(start, end, unknown.length > 0
+              ? `Unknown storefront${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`
+              : 'List at least two different storefronts, or use a single one like uk:');
+            continue;
+          }
+          query.countries = countries;
+          query.countryCode = countries[0];
+          seen.storefront = addToken('storefronts', prefix, countries, start, end);
+        } else {
+          query.countryCode = ItunesParams.COUNTRY_PREFIXES[prefix];
+          query.countries = [query.countryCode];
+          seen.storefront = addToken('country', prefix, query.countryCode, start, end);
+        }
+      } else if (kind === 'entity') {
+        if (conflicts('entity', start, end, prefix)) continue;
+        entity = ENTITY_PREFIXES[prefix];
+        seen.entity = addToken('entity', prefix, entity, start, end);
+      } else if (kind === 'attribute') {
+        if (conflicts('attribute', start, end, prefix)) continue;
+        attributePrefix = prefix;
+        seen.attribute = addToken('attribute', prefix, ATTRIBUTE_PREFIXES[prefix].attribute, start, end);
+      }
+    }
+
+    const rest = keyed.slice(offset) + literal;
+    if (rest) {
+      textParts.push(rest);
+    }
+  }
+
+  // An explicit media type wins over the attribute's default
+  query.entity = entity || (attributePrefix ? ATTRIBUTE_PREFIXES[attributePrefix].entity : 'album');
+  if (attributePrefix) {
+    query.attribute = ATTRIBUTE_PREFIXES[attributePrefix].attribute;
+    const media = ItunesParams.ENTITY_MEDIA[query.entity].media;
+    if (!ItunesParams.attributeForMedia(query.attribute, media, query.entity)) {
+      addError(seen.attribute.start, seen.attribute.end, `${attributePrefix} doesn't apply to ${seen.entity ? seen.entity.text.trim() : query.entity} searches and is ignored`);
+    }
+  }
+  if (query.filters.type && query.entity !== 'album') {
+    addError(seen.type.start, seen.type.end, 'type: only applies to album searches');
+  }
+  query.searchTerm = textParts.join(' ');
+
+  if (identifier) {
+    // isbn:/upc:/artistid: look the value up; search words and attributes don't apply
+    const found = identifier.key === 'artistid'
+      ? (/^\d+$/.test(identifier.value) ? { key: 'id', value: identifier.value, entity: 'album' } : null)
+      : detectIdentifier(`${identifier.key}:${identifier.value}`, query.entity);
+    if (!found) {
+      addError(identifier.start, identifier.end, {
+        isbn: 'isbn: needs an ISBN-10 or ISBN-13',
+        upc: 'upc: needs a 12 or 13 digit barcode',
+        artistid: 'artistid: needs an Apple artist ID'
+      }[identifier.key]);
+    } else {
+      if (attributePrefix) {
+        addError(identifier.start, identifier.end, `${identifier.key}: can't be combined with ${attributePrefix}`);
+      }
+      if (query.searchTerm) {
+        addError(identifier.start, identifier.end, `Other search words are ignored by an ${identifier.key}: lookup`);
+      }
+      query.searchTerm = found.value;
+      query.lookupKey = found.key;
+      query.lookupMode = true;
+      query.attribute = '';
+      if (identifier.key === 'artistid') {
+        // Lookups outside the artist view (batch mode) list the artist's albums
+        query.artistId = found.value;
+        query.lookupParams = { entity: 'album', limit: ItunesParams.MAX_LIMIT };
+        query.entity = 'album';
+      } else if (!entity) {
+        query.entity = found.entity;
+      }
+    }
+  }
+
+  // Apple links carry their own storefront and media type
+  const urlParse = !query.lookupMode && parseAppleUrl(query.searchTerm);
+  if (urlParse) {
+    query.entity = urlParse.entity;
+    query.attribute = '';
+    if (urlParse.country) {
+      query.countryCode = urlParse.country;
+      query.countries = [urlParse.country];
+    }
+    if (urlParse.id) {
+      query.searchTerm = urlParse.id;
+      query.lookupMode = true;
+      query.lookupParams = urlParse.lookupParams;
+      query.artistId = urlParse.artistId;
+    } else {
+      // No iTunes ID in the link (tv.apple.com umc ids), search by its title slug
+      query.searchTerm = urlParse.term;
+    }
+  }
+
+  // Bare Apple IDs, barcodes and ISBNs go straight to the Lookup API; quoting searches them as text
+  if (query.searchTerm && !query.lookupMode && !urlParse && !query.attribute && !words.some(word => word.quoted)) {
+    const found = detectIdentifier(query.searchTerm, query.entity);
+    if (found) {
+      query.searchTerm = found.value;
+      query.lookupKey = found.key;
+      query.lookupMode = true;
+      if (!entity) {
+        query.entity = found.entity;
+      }
+    }
+  }
+
+  query.tokens.sort((a, b) => a.start - b.start);
+  query.errors.sort((a, b) => a.start - b.start);
+
+  // Store attribute globally for use in iTunes API calls
+  window.attribute = query.attribute;
+  return query;
+}
+
+/**
+ * Applies a key:value token to the query
+ * @param {Object} query - Query being built by parseSearchTerm()
+ * @param {Object} token - { key, value, start, end }
+ * @param {Object} parser - parseSearchTerm() helpers: seen, addToken, addError, conflicts, setIdentifier
+ */
+function applyQueryValue(query, token, parser) {
+  const { key, start, end } = token;
+  const value = token.value.trim();
+  const lower = value.toLowerCase();
+  const kind = key === 'upc' || key === 'artistid' ? 'isbn' : key;
+  const invalid = message => parser.addError(start, end, message);
+
+  if (parser.conflicts(kind, start, end, `${key}:`)) return;
+  if (!value) {
+    invalid(`${key}: needs a value`);
+    return;
+  }
+
+  if (key === 'year') {
+    const match = value.match(/^(\d{4})?(-)?(\d{4})?$/);
+    const range = match && (match[1] || match[3]) ? parseRange(value) : null;
+    if (!range || (range.from !== null && range.to !== null && range.from > range.to)) {
+      invalid('year: takes a year or a range such as 1990-1999, 2010- or -1985');
+      return;
+    }
+    query.filters.years = range;
+    parser.seen.year = parser.addToken('year', 'year:', range, start, end);
+  } else if (key === 'explicit') {
+    if (!QUERY_EXPLICIT_VALUES[lower]) {
+      invalid('explicit: takes yes or no');
+      return;
+    }
+    query.filters.explicit = QUERY_EXPLICIT_VALUES[lower];
+    parser.seen.explicit = parser.addToken('explicit', 'explicit:', query.filters.explicit, start, end);
+  } else if (key === 'limit') {
+    if (!/^\d+$/.test(value)) {
+      invalid(`limit: takes a number of results from 1 to ${ItunesParams.MAX_LIMIT}`);
+      return;
+    }
+    query.limit = Math.min(Math.max(parseInt(value, 10), 1), ItunesParams.MAX_LIMIT);
+    parser.seen.limit = parser.addToken('limit', 'limit:', query.limit, start, end);
+  } else if (key === 'lang') {
+    if (!QUERY_LANGUAGES[lower]) {
+      invalid('lang: takes en or ja');
+      return;
+    }
+    query.lang = QUERY_LANGUAGES[lower];
+    parser.seen.lang = parser.addToken('lang', 'lang:', query.lang, start, end);
+  } else if (key === 'type') {
+    if (!QUERY_RELEASE_TYPES.includes(lower)) {
+      invalid(`type: takes ${QUERY_RELEASE_TYPES.join(', ')}`);
+      return;
+    }
+    query.filters.type = lower;
+    parser.seen.type = parser.addToken('type', 'type:', lower, start, end);
+  } else {
+    parser.seen.isbn = parser.addToken('identifier', `${key}:`, value, start, end);
+    parser.setIdentifier({ key, value, start, end });
+  }
+}
+
+/**
+ * Parses a multi-storefront prefix into storefront codes
+ * @param {string} list - Comma-separated country prefixes or codes (us,uk,jp) or a preset name (all)
+ * @returns {string[]|null} Unique storefront codes, at most ItunesParams.MAX_STOREFRONTS,
+ *   or null when fewer than two valid storefronts remain
+ */
+function parseStorefrontList(list) {
+  const preset = ItunesParams.STOREFRONT_PRESETS[list.toLowerCase()];
+  const codes = preset || list
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .map(code => ItunesParams.COUNTRY_PREFIXES[`${code}:`] || (ItunesParams.COUNTRY_CODES.includes(code) ? code : null))
+    .filter(Boolean);
+  const unique = Array.from(new Set(codes)).slice(0, ItunesParams.MAX_STOREFRONTS);
+  return unique.length > 1 ? unique : null;
+}
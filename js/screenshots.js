@@ -0,0 +1,195 @@
+/* App Screenshots
+   - Screenshot counts per device family (iPhone, iPad, Apple TV) on app cards
+   - Screenshots tab in the artwork modal with a gallery per family and full-resolution downloads
+   - Download all: the icon sizes and every screenshot as one ZIP
+*/
+
+/**
+ * Renders the screenshot counts of an app card
+ * @param {Object} result - iTunes search/lookup result
+ * @param {string} entity - Entity type the card is rendered as
+ * @returns {string} Buttons HTML, or '' for results without screenshots
+ */
+function renderScreenshotCounts(result, entity) {
+  if (entity !== 'software') return '';
+  const families = ArtworkResolver.resolveScreenshots(result);
+  if (families.length === 0) return '';
+  const buttons = families.map(family =>
+    `<button type="button" data-family="${family.key}" title="${family.label} screenshots">${family.label} <span>${family.screenshots.length}</span></button>`
+  ).join('');
+  return `<div class="screenshot-counts">${buttons}</div>`;
+}
+
+/**
+ * Opens the modal on a family's screenshots when a card's count is clicked
+ * @param {Element} [root=document] - Element containing the cards to wire up
+ */
+function initializeScreenshotCounts(root) {
+  (root || document).querySelectorAll('.result .screenshot-counts button[data-family]').forEach(button => {
+    button.addEventListener('click', function(e) {
+      e.stopPropagation();
+      const card = button.closest('.result');
+      selectResultCard(card);
+      openArtworkModal(card);
+
+      const content = document.querySelector('#artworkModal .modal-content');
+      const tab = content && content.querySelector('.modal-tabs [data-tab="screenshots"]');
+      if (!tab) return;
+      tab.click();
+      const family = content.querySelector(`.screenshot-families [data-family="${button.dataset.family}"]`);
+      if (family) family.click();
+    });
+  });
+}
+
+/**
+ * Renders the Artwork/Screenshots tabs and the (empty) screenshots panel for the modal
+ * @param {Object|null} result - Result the modal shows
+ * @param {string} entity - Entity of the current results
+ * @returns {string} Tabs and panel HTML, or '' when the result is not an app with screenshots
+ */
+function renderAppScreenshotsTabs(result, entity) {
+  if (!result || entity !== 'software' || ArtworkResolver.resolveScreenshots(result).length === 0) {
+    return '';
+  }
+  return renderModalTabs('screenshots', 'Screenshots');
+}
+
+/**
+ * Wires up the tabs rendered by renderAppScreenshotsTabs
+ * @param {Element} content - .modal-content of the modal
+ * @param {Object} result - App the modal shows
+ * @param {Object} current - window.currentResults
+ */
+function initializeAppScreenshots(content, result, current) {
+  if (!content.querySelector('.modal-screenshots')) return;
+
+  initializeModalTabs(content, (tab, panel) => {
+    if (tab === 'screenshots' && !panel.dataset.loaded) {
+      panel.dataset.loaded = 'true';
+      renderAppScreenshots(panel, result, current);
+    }
+  });
+}
+
+/**
+ * Fills the screenshots panel and wires up the family switch and downloads
+ * @param {Element} panel - .modal-screenshots panel
+ * @param {Object} result - App result
+ * @param {Object} current - window.currentResults
+ */
+function renderAppScreenshots(panel, result, current) {
+  const families = ArtworkResolver.resolveScreenshots(result, { format: current.usePng ? 'png' : 'jpg' });
+  const icons = ArtworkResolver.resolveArtwork(result, 'software', { format: current.usePng ? 'png' : 'jpg' }).links;
+  const total = families.reduce((sum, family) => sum + family.screenshots.length, 0) + icons.length;
+
+  const switches = families.map((family, i) =>
+    `<button type="button" data-family="${family.key}" aria-pressed="${i === 0}">${family.label} <span>${family.screenshots.length}</span></button>`
+  ).join('');
+  const galleries = families.map((family, i) => {
+    const shots = family.screenshots.map((shot, n) => `<figure class="screenshot">
+        <a href="${shot.full}" target="_blank" title="Open full size"><img src="${shot.thumbnail}" alt="${family.label} screenshot ${n + 1}" loading="lazy" /></a>
+        <a class="screenshot-download" href="${shot.full}" download data-label="${family.label} ${n + 1}">Download</a>
+      </figure>`).join('');
+    return `<div class="screenshot-gallery" data-family="${family.key}"${i === 0 ? '' : ' hidden'}>${shots}</div>`;
+  }).join('');
+
+  panel.innerHTML = `<div class="screenshot-toolbar">
+      <div class="screenshot-families" role="group" aria-label="Device">${switches}</div>
+      <button type="button" class="screenshots-download-all" title="Icons and every screenshot as a ZIP">Download all (${total})</button>
+    </div>
+    <p class="screenshots-status" aria-live="polite"></p>
+    ${galleries}`;
+
+  panel.querySelector('.screenshot-families').addEventListener('click', function(e) {
+    const button = e.target.closest('[data-family]');
+    if (!button) return;
+    panel.querySelectorAll('.screenshot-families [data-family]').forEach(b => b.setAttribute('aria-pressed', String(b === button)));
+    panel.querySelectorAll('.screenshot-gallery').forEach(gallery => {
+      gallery.hidden = gallery.dataset.family !== button.dataset.family;
+    });
+  });
+  panel.querySelectorAll('a.screenshot-download').forEach(link => {
+    link.addEventListener('click', function(e) {
+      if (shouldOpenInNewTab()) {
+        link.setAttribute('target', '_blank');
+        return;
+      }
+      e.preventDefault();
+      downloadFile(link.getAttribute('href'), link.dataset.label, result);
+    });
+  });
+
+  const downloadAll = panel.querySelector('.screenshots-download-all');
+  downloadAll.addEventListener('click', function() {
+    const items = icons.map(link => ({ url: link.url, label: `Icon ${link.label}` }))
+      .concat(...families.map(family => family.screenshots.map((shot, n) => ({
+        url: shot.full,
+        label: `${family.label} ${String(n + 1).padStart(2, '0')}`
+      }))));
+    downloadAllScreenshots(items, result, current, downloadAll, panel.querySelector('.screenshots-status'));
+  });
+}
+
+/**
+ * Downloads app images and saves them as one ZIP
+ * Files are numbered in gallery order, so templates without {size} still give unique names.
+ * @param {Array<{url: string, label: string}>} items - Images with the size label used in their filename
+ * @param {Object} result - App result, used to name the files
+ * @param {Object} current - window.currentResults
+ * @param {Element} button - Download all button, disabled while downloading
+ * @param {Element} status - Element showing progress
+ * @returns {Promise<void>}
+ */
+async function downloadAllScreenshots(items, result, current, button, status) {
+  const files = [];
+  const failed = [];
+  let done = 0;
+  button.disabled = true;
+
+  try {
+    await runWithConcurrency(items, BATCH_CONCURRENCY, BATCH_REQUEST_INTERVAL, async (item, index) => {
+      try {
+        const response = await fetch(artworkDownloadUrl(item.url));
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const blob = await response.blob();
+        const name = `${String(index + 1).padStart(2, '0')} - ${filenameForResult(result, {
+          entity: 'software',
+          country: current.country,
+          size: item.label,
+          ext: extensionForImage(blob, item.url)
+        })}`;
+        files.push({ index, name, data: new Uint8Array(await blob.arrayBuffer()) });
+      } catch (e) {
+        console.warn(`Could not download ${item.label}:`, e);
+        failed.push(item.label);
+      }
+      done++;
+      status.textContent = `Downloaded ${done} / ${items.length}`;
+    });
+
+    // Workers finish out of order; keep the archive in gallery order
+    files.sort((a, b) => a.index - b.index);
+    if (files.length > 0) {
+      const zip = buildZip(files);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = window.URL.createObjectURL(zip);
+      a.download = filenameForResult(result, { entity: 'software', country: current.country, size: 'Screenshots', ext: 'zip' });
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      // Revoking right away can cancel the download in some browsers
+      setTimeout(() => window.URL.revokeObjectURL(a.href), 1000);
+    }
+
+    status.textContent = `Saved ${files.length} images${failed.length ? `, ${failed.length} failed (${failed.join(', ')})` : ''}.`;
+  } catch (error) {
+    console.error('Could not save screenshots:', error);
+    status.textContent = 'Could not build the ZIP.';
+  } finally {
+    button.disabled = false;
+  }
+}
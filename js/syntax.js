@@ -0,0 +1,383 @@
+/* Search Syntax
+   - Shows the tokens parseSearchTerm() recognises as chips under the search box
+   - Warns about unknown, conflicting or invalid tokens before searching
+   - Autocompletes keys, storefront codes and key values at the caret
+*/
+
+// Autocomplete labels for keys other than storefronts, media types and attributes
+const SYNTAX_KEY_LABELS = {
+  'all:': 'Major storefronts',
+  'year:': 'Release year or range',
+  'explicit:': 'Explicit or clean only',
+  'type:': 'Album, EP or single',
+  'lang:': 'Result language',
+  'limit:': 'Results per page',
+  'isbn:': 'ISBN lookup',
+  'upc:': 'UPC lookup',
+  'artistid:': 'Artist discography'
+};
+
+// Values suggested after a key, with their labels
+const SYNTAX_KEY_VALUES = {
+  'explicit': { yes: 'Explicit only', no: 'Clean only' },
+  'type': { album: 'Albums', ep: 'EPs', single: 'Singles' },
+  'lang': { en: 'English', ja: 'Japanese' }
+};
+
+// Suggestions shown at most by autocomplete
+const SYNTAX_MAX_SUGGESTIONS = 8;
+
+// Lazily created Intl.DisplayNames for storefront names
+let storefrontNames = null;
+
+/**
+ * English name of a storefront
+ * @param {string} code - Storefront code (gb, us, jp, ...)
+ * @returns {string} Country name, or the upper-cased code when Intl.DisplayNames is unavailable
+ */
+function storefrontName(code) {
+  try {
+    storefrontNames = storefrontNames || new Intl.DisplayNames(['en'], { type: 'region' });
+    return storefrontNames.of(code.toUpperCase()) || code.toUpperCase();
+  } catch (e) {
+    return code.toUpperCase();
+  }
+}
+
+/**
+ * Chip label for a parsed token
+ * @param {Object} token - Token from parseSearchTerm()
+ * @returns {string} Short description
+ */
+function syntaxTokenLabel(token) {
+  switch (token.type) {
+    case 'storefronts':
+      return ItunesParams.STOREFRONT_PRESETS[token.key.slice(0, -1)]
+        ? `${SYNTAX_KEY_LABELS['all:']} (${token.value.length})`
+        : token.value.map(code => code.toUpperCase()).join(' · ');
+    case 'country':
+      return storefrontName(token.value);
+    case 'entity':
+      return (LIBRARY_ENTITIES[token.value] || [token.key, token.value])[1];
+    case 'attribute':
+      return token.key.charAt(0).toUpperCase() + token.key.slice(1, -1);
+    case 'identifier':
+      return token.key === 'artistid:' ? `Artist ${token.value}` : `${token.key.slice(0, -1).toUpperCase()} ${token.value}`;
+    case 'format':
+      return 'PNG';
+    case 'limit':
+      return `${token.value} per page`;
+    case 'year':
+      return formatRange(token.value).replace('-', '–');
+    case 'explicit':
+      return token.value === 'explicit' ? 'Explicit only' : 'Clean only';
+    case 'lang':
+      return SYNTAX_KEY_VALUES.lang[token.value.slice(0, 2)];
+    case 'type':
+      return SYNTAX_KEY_VALUES.type[token.value];
+    default:
+      return token.text;
+  }
+}
+
+/**
+ * Recognised tokens and problems in search box text
+ * @param {string} text - Search box text
+ * @returns {Object} { tokens: [{ type, text, start, end, label }], problems: [{ start, end, message, replacement }] }
+ */
+function analyzeSearchSyntax(text) {
+  if (!text.trim()) {
+    return { tokens: [], problems: [] };
+  }
+  const query = parseSearchTerm(text);
+  return {
+    tokens: query.tokens.map(token => Object.assign({ label: syntaxTokenLabel(token) }, token)),
+    problems: query.errors
+  };
+}
+
+/**
+ * Autocomplete suggestions for the word being typed at the caret
+ * @param {string} text - Search box text
+ * @param {number} caret - Caret position
+ * @returns {Object[]} [{ text, label, start }] where start is where the completed part begins
+ */
+function searchSuggestionsAt(text, caret) {
+  // Only complete at the end of a word, outside quotes and links
+  const word = text.slice(0, caret).match(/\S*$/)[0];
+  const wordStart = caret - word.length;
+  if (/^\S/.test(text.slice(caret)) || word.includes('"') || /^https?:/i.test(word)) return [];
+
+  if (word.startsWith('.')) {
+    return '.png'.startsWith(word.toLowerCase()) && word.length < 4 && !/(^|\s)\.png(\s|$)/i.test(text)
+      ? [{ text: '.png', label: 'PNG artwork', start: wordStart }]
+      : [];
+  }
+
+  // Values after explicit:, type: and lang:
+  const valueMatch = word.match(/(?:^|:)(explicit|type|lang):([a-z]*)$/i);
+  if (valueMatch) {
+    const typed = valueMatch[2].toLowerCase();
+    const values = SYNTAX_KEY_VALUES[valueMatch[1].toLowerCase()];
+    return Object.keys(values)
+      .filter(value => value.startsWith(typed) && value !== typed)
+      .map(value => ({ text: value, label: values[value], start: caret - typed.length }));
+  }
+
+  const storefrontMatches = (code, typed) => {
+    const prefix = Object.keys(ItunesParams.COUNTRY_PREFIXES).find(key => ItunesParams.COUNTRY_PREFIXES[key] === code);
+    return prefix.startsWith(typed) || (typed.length > 2 && storefrontName(code).toLowerCase().startsWith(typed));
+  };
+
+  // Storefront codes inside a list (us,uk,...)
+  const listMatch = word.match(/(?:^|:)((?:[a-z]{2},)+)([a-z]*)$/i);
+  if (listMatch) {
+    const typed = listMatch[2].toLowerCase();
+    const listed = listMatch[1].toLowerCase().split(',');
+    return Object.keys(ItunesParams.COUNTRY_PREFIXES)
+      .map(prefix => prefix.slice(0, -1))
+      .filter(code => !listed.includes(code) && storefrontMatches(ItunesParams.COUNTRY_PREFIXES[`${code}:`], typed))
+      .slice(0, SYNTAX_MAX_SUGGESTIONS)
+      .map(code => ({ text: code, label: storefrontName(ItunesParams.COUNTRY_PREFIXES[`${code}:`]), start: caret - typed.length }));
+  }
+
+  // Keys, at the start of a word or chained after another key (uk:al)
+  const keyMatch = word.match(/^(?:[a-z,]+:)*([a-z]+)$/i);
+  if (!keyMatch) return [];
+  const typed = keyMatch[1].toLowerCase();
+  const start = caret - typed.length;
+  // Keys already given, including ones chained before the caret, are not offered again
+  const used = new Set(parseSearchTerm(text.slice(0, start) + text.slice(caret)).tokens.map(token => token.type));
+
+  const candidates = [];
+  if (!used.has('country') && !used.has('storefronts')) {
+    Object.keys(ItunesParams.COUNTRY_PREFIXES).forEach(prefix => {
+      const code = ItunesParams.COUNTRY_PREFIXES[prefix];
+      if (storefrontMatches(code, typed)) {
+        candidates.push({ text: prefix, label: storefrontName(code), byName: !prefix.startsWith(typed) });
+      }
+    });
+    candidates.push({ text: 'all:', label: SYNTAX_KEY_LABELS['all:'] });
+  }
+  if (!used.has('entity')) {
+    Object.keys(ENTITY_PREFIXES).forEach(prefix => {
+      candidates.push({ text: prefix, label: (LIBRARY_ENTITIES[ENTITY_PREFIXES[prefix]] || [])[1] || prefix });
+    });
+  }
+  if (!used.has('attribute') && !used.has('identifier')) {
+    Object.keys(ATTRIBUTE_PREFIXES).forEach(prefix => {
+      candidates.push({ text: prefix, label: `Search by ${prefix.slice(0, -1)}` });
+    });
+    ['isbn:', 'upc:', 'artistid:'].forEach(prefix => candidates.push({ text: prefix, label: SYNTAX_KEY_LABELS[prefix] }));
+  }
+  ['year', 'explicit', 'type', 'lang', 'limit'].forEach(key => {
+    if (!used.has(key)) {
+      candidates.push({ text: `${key}:`, label: SYNTAX_KEY_LABELS[`${key}:`] });
+    }
+  });
+
+  // Keys starting with the typed word come before storefronts matched by name
+  const startsWithTyped = candidate => candidate.text.startsWith(typed);
+  return candidates
+    .filter(candidate => startsWithTyped(candidate) || candidate.byName)
+    .sort((a, b) => startsWithTyped(b) - startsWithTyped(a))
+    .slice(0, SYNTAX_MAX_SUGGESTIONS)
+    .map(candidate => ({ text: candidate.text, label: candidate.label, start }));
+}
+
+/**
+ * Hooks chips, warnings and autocomplete up to the search box
+ */
+function initializeSearchSyntax() {
+  const searchInput = document.getElementById('searchInput');
+  const syntax = document.getElementById('searchSyntax');
+  const list = document.getElementById('searchSuggestions');
+  if (!searchInput || !syntax || !list || syntax.dataset.initialized) {
+    return;
+  }
+  syntax.dataset.initialized = 'true';
+
+  searchInput.setAttribute('role', 'combobox');
+  searchInput.setAttribute('aria-autocomplete', 'list');
+  searchInput.setAttribute('aria-controls', 'searchSuggestions');
+  searchInput.setAttribute('aria-expanded', 'false');
+
+  searchInput.addEventListener('input', function() {
+    renderSearchSyntax(searchInput);
+    updateSearchSuggestions(searchInput);
+  });
+  searchInput.addEventListener('click', () => updateSearchSuggestions(searchInput));
+  searchInput.addEventListener('blur', () => closeSearchSuggestions(searchInput));
+  searchInput.addEventListener('keydown', handleSuggestionKey);
+
+  // mousedown keeps the focus in the search box
+  list.addEventListener('mousedown', function(e) {
+    const item = e.target.closest('[data-index]');
+    e.preventDefault();
+    if (item) {
+      acceptSearchSuggestion(searchInput, Number(item.dataset.index));
+    }
+  });
+
+  syntax.addEventListener('click', function(e) {
+    const button = e.target.closest('button[data-start]');
+    if (!button) return;
+    const start = Number(button.dataset.start);
+    const end = Number(button.dataset.end);
+    const replacement = button.dataset.replacement || '';
+    const text = searchInput.value;
+    let rest = text.slice(end);
+    // Removing a token leaves the words around it one space apart
+    if (!replacement) {
+      rest = /\s$/.test(text.slice(0, start)) || start === 0 ? rest.replace(/^\s+/, '') : rest;
+    }
+    searchInput.value = text.slice(0, start) + replacement + rest;
+    searchInput.focus();
+    searchInput.setSelectionRange(start + replacement.length, start + replacement.length);
+    searchInput.dispatchEvent(new Event('input'));
+  });
+
+  renderSearchSyntax(searchInput);
+}
+
+/**
+ * Renders the chips and warnings for the search box text
+ * @param {HTMLInputElement} searchInput - Search box
+ * @param {boolean} [confirming] - Ask to press Search again to search despite the warnings
+ */
+function renderSearchSyntax(searchInput, confirming) {
+  const syntax = document.getElementById('searchSyntax');
+  if (!syntax) return;
+  const analysis = analyzeSearchSyntax(searchInput.value);
+
+  const chips = analysis.tokens.map(token => `<span class="syntax-chip syntax-${token.type}" title="${escapeHtml(token.text)}">
+      ${escapeHtml(token.label)}
+      <button type="button" class="syntax-chip-remove" data-start="${token.start}" data-end="${token.end}" aria-label="Remove ${escapeHtml(token.label)}">&#10006;</button>
+    </span>`).join('');
+  const problems = analysis.problems.map(problem => {
+    const fix = problem.replacement
+      ? ` <button type="button" class="syntax-fix" data-start="${problem.start}" data-end="${problem.end}" data-replacement="${escapeHtml(problem.replacement)}">Did you mean ${escapeHtml(problem.replacement)}</button>`
+      : '';
+    return `<li class="syntax-problem">${escapeHtml(problem.message)}${fix}</li>`;
+  }).join('');
+  const confirm = confirming && problems ? '<li class="syntax-confirm">Press Search again to search anyway</li>' : '';
+
+  syntax.innerHTML = (chips ? `<div class="syntax-chips">${chips}</div>` : '') +
+    (problems ? `<ul class="syntax-problems">${problems}${confirm}</ul>` : '');
+  syntax.hidden = !chips && !problems;
+  searchInput.classList.toggle('has-syntax-problems', Boolean(problems));
+}
+
+/**
+ * Checks the search box before a search is submitted
+ * Warnings block the first submit; submitting the same text again searches anyway.
+ * @param {HTMLInputElement} searchInput - Search box
+ * @returns {boolean} True when the search should go ahead
+ */
+function confirmSearchSyntax(searchInput) {
+  const text = searchInput.value.trim();
+  closeSearchSuggestions(searchInput);
+  if (analyzeSearchSyntax(text).problems.length === 0 || searchInput.dataset.syntaxConfirmed === text) {
+    renderSearchSyntax(searchInput);
+    return true;
+  }
+  searchInput.dataset.syntaxConfirmed = text;
+  renderSearchSyntax(searchInput, true);
+  return false;
+}
+
+/**
+ * Shows the autocomplete list for the word at the caret
+ * @param {HTMLInputElement} searchInput - Search box
+ */
+function updateSearchSuggestions(searchInput) {
+  const list = document.getElementById('searchSuggestions');
+  const caret = searchInput.selectionStart;
+  const suggestions = caret === searchInput.selectionEnd ? searchSuggestionsAt(searchInput.value, caret) : [];
+  list.suggestions = suggestions;
+  list.innerHTML = suggestions.map((suggestion, index) => `<li id="searchSuggestion-${index}" role="option" class="syntax-suggestion" data-index="${index}" aria-selected="false">
+      <span class="syntax-suggestion-text">${escapeHtml(suggestion.text)}</span>
+      <span class="syntax-suggestion-label">${escapeHtml(suggestion.label)}</span>
+    </li>`).join('');
+  list.hidden = suggestions.length === 0;
+  searchInput.setAttribute('aria-expanded', String(suggestions.length > 0));
+  searchInput.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Hides the autocomplete list
+ * @param {HTMLInputElement} searchInput - Search box
+ */
+function closeSearchSuggestions(searchInput) {
+  const list = document.getElementById('searchSuggestions');
+  if (!list) return;
+  list.hidden = true;
+  list.suggestions = [];
+  searchInput.setAttribute('aria-expanded', 'false');
+  searchInput.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Highlights a suggestion in the autocomplete list
+ * @param {HTMLInputElement} searchInput - Search box
+ * @param {number} index - Suggestion index, -1 for none
+ */
+function highlightSearchSuggestion(searchInput, index) {
+  const list = document.getElementById('searchSuggestions');
+  list.querySelectorAll('[data-index]').forEach(item => {
+    item.setAttribute('aria-selected', String(Number(item.dataset.index) === index));
+  });
+  if (index >= 0) {
+    searchInput.setAttribute('aria-activedescendant', `searchSuggestion-${index}`);
+  } else {
+    searchInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Replaces the word at the caret with a suggestion
+ * @param {HTMLInputElement} searchInput - Search box
+ * @param {number} index - Suggestion index
+ */
+function acceptSearchSuggestion(searchInput, index) {
+  const list = document.getElementById('searchSuggestions');
+  const suggestion = (list.suggestions || [])[index];
+  if (!suggestion) return;
+  const text = searchInput.value;
+  const caret = searchInput.selectionStart;
+  searchInput.value = text.slice(0, suggestion.start) + suggestion.text + text.slice(caret);
+  const position = suggestion.start + suggestion.text.length;
+  searchInput.setSelectionRange(position, position);
+  searchInput.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Keyboard handling for the autocomplete list
+ * Handled keys are default-prevented so the global shortcuts leave them alone.
+ * @param {KeyboardEvent} e - Key event on the search box
+ */
+function handleSuggestionKey(e) {
+  const searchInput = e.target;
+  const list = document.getElementById('searchSuggestions');
+  const count = list.hidden ? 0 : (list.suggestions || []).length;
+  if (count === 0) return;
+
+  const active = list.querySelector('[aria-selected="true"]');
+  const index = active ? Number(active.dataset.index) : -1;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    const next = index === -1 ? (step > 0 ? 0 : count - 1) : (index + step + count) % count;
+    highlightSearchSuggestion(searchInput, next);
+  } else if (e.key === 'Tab' && !e.shiftKey) {
+    e.preventDefault();
+    acceptSearchSuggestion(searchInput, Math.max(index, 0));
+  } else if (e.key === 'Enter' && index >= 0) {
+    // Enter only completes a highlighted suggestion; otherwise it submits
+    e.preventDefault();
+    acceptSearchSuggestion(searchInput, index);
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    closeSearchSuggestions(searchInput);
+  }
+}
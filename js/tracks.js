@@ -0,0 +1,192 @@
+/* Album Tracks
+   - Tracks tab in the artwork modal for albums, looked up with entity=song on first open
+   - Track number, name, duration and a 30 second preview for each track
+   - Tracks whose artwork differs from the album cover are highlighted, with their own download links
+*/
+
+// Track lists already looked up, by storefront and collection ID (promises, so a slow lookup is shared)
+const albumTrackCache = new Map();
+
+// Audio element of the preview that is playing; null when none is
+let trackPreview = null;
+
+/**
+ * Renders the Artwork/Tracks tabs and the (empty) tracks panel for the modal
+ * @param {Object|null} result - Result the modal shows
+ * @param {string} entity - Entity of the current results
+ * @returns {string} Tabs and panel HTML, or '' when the result is not an album
+ */
+function renderAlbumTracksTabs(result, entity) {
+  if (!result || entity !== 'album' || result['wrapperType'] !== 'collection' || !result['collectionId']) {
+    return '';
+  }
+  return renderModalTabs('tracks', 'Tracks');
+}
+
+/**
+ * Wires up the tabs rendered by renderAlbumTracksTabs
+ * @param {Element} content - .modal-content of the modal
+ * @param {Object} result - Album the modal shows
+ * @param {Object} current - window.currentResults
+ */
+function initializeAlbumTracks(content, result, current) {
+  stopTrackPreview();
+  if (!content.querySelector('.modal-tracks')) return;
+
+  initializeModalTabs(content, (tab, panel) => {
+    if (tab !== 'tracks') {
+      stopTrackPreview();
+    } else if (!panel.dataset.loaded) {
+      panel.dataset.loaded = 'true';
+      loadAlbumTracks(panel, result, current);
+    }
+  });
+}
+
+/**
+ * Looks up the album's tracks and lists them in the panel
+ * @param {Element} panel - .modal-tracks panel
+ * @param {Object} album - Album result
+ * @param {Object} current - window.currentResults
+ * @returns {Promise<void>}
+ */
+async function loadAlbumTracks(panel, album, current) {
+  const country = album.shownStorefront || current.country || 'us';
+  const key = `${country}:${album['collectionId']}`;
+  panel.innerHTML = '<p class="tracks-status">Loading tracks...</p>';
+
+  if (!albumTrackCache.has(key)) {
+    albumTrackCache.set(key, retryOnThrottle(() => fetchResultsLookup(album['collectionId'], country, 'id', { entity: 'song', limit: ItunesParams.MAX_LIMIT })));
+  }
+  let response;
+  try {
+    response = await albumTrackCache.get(key);
+  } catch (error) {
+    albumTrackCache.delete(key);
+    if (panel.isConnected) {
+      panel.innerHTML = `<p class="tracks-status">${escapeHtml(describeSearchError(error))}</p>`;
+      // Try again next time the tab is opened
+      delete panel.dataset.loaded;
+    }
+    return;
+  }
+  if (!panel.isConnected) return;
+
+  const tracks = ((response && response.results) || [])
+    .filter(row => row['wrapperType'] === 'track')
+    .sort((a, b) => (a['discNumber'] || 1) - (b['discNumber'] || 1) || (a['trackNumber'] || 0) - (b['trackNumber'] || 0));
+  if (tracks.length === 0) {
+    panel.innerHTML = '<p class="tracks-status">Apple lists no tracks for this album in this storefront.</p>';
+    return;
+  }
+  renderAlbumTracks(panel, album, tracks, current.usePng ? 'png' : 'jpg');
+}
+
+/**
+ * Lists tracks in the panel and wires up previews and downloads
+ * @param {Element} panel - .modal-tracks panel
+ * @param {Object} album - Album result
+ * @param {Object[]} tracks - Track rows in disc and track order
+ * @param {string} format - 'jpg' or 'png'
+ */
+function renderAlbumTracks(panel, album, tracks, format) {
+  const cover = artworkIdentity(album['artworkUrl100']);
+  const discs = new Set(tracks.map(track => track['discNumber'] || 1)).size;
+  const differing = tracks.filter(track => track['artworkUrl100'] && artworkIdentity(track['artworkUrl100']) !== cover);
+  const total = tracks.reduce((sum, track) => sum + (track['trackTimeMillis'] || 0), 0);
+
+  const rows = tracks.map((track, index) => {
+    const differs = differing.includes(track);
+    const number = discs > 1 ? `${track['discNumber'] || 1}-${track['trackNumber'] || ''}` : (track['trackNumber'] || '');
+    const artist = track['artistName'] && track['artistName'] !== album['artistName']
+      ? `<span class="track-artist">${escapeHtml(track['artistName'])}</span>`
+      : '';
+    const preview = track['previewUrl']
+      ? `<button type="button" class="track-preview" data-track="${index}" title="Play preview" aria-label="Play preview of ${escapeHtml(track['trackName'])}">&#9654;</button>`
+      : '<span class="track-preview"></span>';
+    const artwork = differs ? ArtworkResolver.resolveArtwork(track, 'song', { format }) : null;
+    const artworkHtml = artwork
+      ? `<div class="track-artwork"><img src="${artwork.thumbnail}" alt="" loading="lazy" /><div class="track-links">${renderArtworkLinks(artwork)}</div></div>`
+      : '';
+    return `<li class="album-track${differs ? ' differs' : ''}" data-track="${index}">
+        <span class="track-number">${number}</span>
+        <span class="track-name">${escapeHtml(track['trackName'] || '')}${artist}</span>
+        <span class="track-time">${formatTrackTime(track['trackTimeMillis'])}</span>
+        ${preview}
+        ${artworkHtml}
+      </li>`;
+  }).join('');
+
+  const summary = [`${tracks.length} track${tracks.length === 1 ? '' : 's'}`];
+  if (total) summary.push(formatTrackTime(total));
+  if (differing.length) summary.push(`${differing.length} with their own artwork`);
+  panel.innerHTML = `<p class="tracks-summary">${summary.join(' · ')}</p><ol class="album-tracks">${rows}</ol>`;
+
+  panel.querySelectorAll('button.track-preview').forEach(button => {
+    button.addEventListener('click', function() {
+      toggleTrackPreview(button, tracks[button.dataset.track]['previewUrl']);
+    });
+  });
+  panel.querySelectorAll('.track-links a[download]').forEach(link => {
+    link.addEventListener('click', function(e) {
+      if (shouldOpenInNewTab()) {
+        link.setAttribute('target', '_blank');
+        return;
+      }
+      e.preventDefault();
+      downloadFile(link.getAttribute('href'), link.dataset.label || link.textContent, tracks[link.closest('.album-track').dataset.track]);
+    });
+  });
+}
+
+/**
+ * Formats a duration as m:ss, or h:mm:ss from an hour up
+ * @param {number} [millis] - Duration in milliseconds
+ * @returns {string} Formatted duration, '' when unknown
+ */
+function formatTrackTime(millis) {
+  if (!millis) return '';
+  const seconds = Math.round(millis / 1000);
+  const pad = n => String(n).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds / 60) % 60;
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+    : `${minutes}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Plays a track preview, or stops it when it is the one playing
+ * @param {Element} button - Preview button of the track
+ * @param {string} url - previewUrl of the track
+ */
+function toggleTrackPreview(button, url) {
+  const playing = trackPreview && trackPreview.button === button;
+  stopTrackPreview();
+  if (playing) return;
+
+  const audio = new Audio(url);
+  trackPreview = { audio, button };
+  button.classList.add('playing');
+  button.innerHTML = '&#9632;';
+  button.title = 'Stop preview';
+  audio.addEventListener('ended', stopTrackPreview);
+  audio.play().catch(error => {
+    console.warn('Could not play preview:', error);
+    stopTrackPreview();
+  });
+}
+
+/**
+ * Stops the playing preview (tab closed, modal closed or another album opened)
+ */
+function stopTrackPreview() {
+  if (!trackPreview) return;
+  const { audio, button } = trackPreview;
+  trackPreview = null;
+  audio.pause();
+  audio.removeAttribute('src');
+  button.classList.remove('playing');
+  button.innerHTML = '&#9654;';
+  button.title = 'Play preview';
+}
@@ -0,0 +1,379 @@
+/* Artwork Viewer
+   - Progressive loading in the artwork modal: the card thumbnail first, then the
+     full-size image with a progress bar
+   - Zoom (wheel, pinch, double-click, 1:1) and pan (drag) within the modal
+   - Pixel dimension readout and previous/next through the visible results
+*/
+
+// Furthest zoom, as a multiple of the image's actual pixels (1:1)
+const VIEWER_MAX_ZOOM = 4;
+
+// Zoom change per pixel of wheel movement
+const VIEWER_WHEEL_STEP = 0.0015;
+
+// Viewer of the open modal; null when the modal is closed
+let artworkViewer = null;
+
+/**
+ * Sets up the viewer inside freshly rendered modal content
+ * @param {Element} content - .modal-content holding .modal-viewer
+ * @param {Object} sources - Images to show
+ * @param {string} sources.thumbnail - Small image shown straight away (already cached by the card)
+ * @param {string} sources.full - Full-size image loaded in the background
+ */
+function initializeArtworkViewer(content, sources) {
+  destroyArtworkViewer();
+
+  const viewport = content.querySelector('.modal-viewer');
+  const viewer = {
+    content,
+    viewport,
+    img: viewport.querySelector('.modal-artwork'),
+    scale: 1,
+    x: 0,
+    y: 0,
+    fitted: true,
+    loaded: false,
+    controller: new AbortController(),
+    objectUrl: null,
+    pointers: new Map(),
+    pinch: null,
+    onResize: () => viewer.fitted ? fitArtworkViewer(viewer) : applyViewerTransform(viewer)
+  };
+  artworkViewer = viewer;
+  window.addEventListener('resize', viewer.onResize);
+
+  viewer.img.addEventListener('load', () => fitArtworkViewer(viewer), { once: true });
+  viewer.img.src = sources.thumbnail;
+
+  viewport.addEventListener('wheel', e => {
+    e.preventDefault();
+    const point = viewportPoint(viewer, e);
+    zoomArtworkViewerAt(viewer, viewer.scale * Math.exp(-e.deltaY * VIEWER_WHEEL_STEP), point.x, point.y);
+  }, { passive: false });
+
+  viewport.addEventListener('dblclick', e => {
+    const point = viewportPoint(viewer, e);
+    if (viewer.fitted) {
+      zoomArtworkViewerAt(viewer, actualPixelScale(viewer), point.x, point.y);
+    } else {
+      fitArtworkViewer(viewer);
+    }
+  });
+
+  viewport.addEventListener('pointerdown', e => {
+    if (e.target.closest('button')) return;
+    viewport.setPointerCapture(e.pointerId);
+    viewer.pointers.set(e.pointerId, viewportPoint(viewer, e));
+    viewer.pinch = viewer.pointers.size === 2 ? pinchState(viewer) : null;
+  });
+  viewport.addEventListener('pointermove', e => handleViewerPointerMove(viewer, e));
+  const release = e => {
+    viewer.pointers.delete(e.pointerId);
+    viewer.pinch = viewer.pointers.size === 2 ? pinchState(viewer) : null;
+  };
+  viewport.addEventListener('pointerup', release);
+  viewport.addEventListener('pointercancel', release);
+
+  content.querySelectorAll('.viewer-toolbar [data-zoom]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (button.dataset.zoom === 'fit') {
+        fitArtworkViewer(viewer);
+      } else {
+        zoomArtworkViewerAt(viewer, actualPixelScale(viewer), viewport.clientWidth / 2, viewport.clientHeight / 2);
+      }
+    });
+  });
+  content.querySelectorAll('.viewer-nav').forEach(button => {
+    button.addEventListener('click', e => {
+      e.stopPropagation();
+      stepArtworkModal(button.classList.contains('next') ? 1 : -1);
+    });
+  });
+
+  updateViewerNavigation(viewer);
+  loadFullArtwork(viewer, sources.full);
+}
+
+/**
+ * Stops loading and frees the image of the current viewer (modal closed or replaced)
+ */
+function destroyArtworkViewer() {
+  if (!artworkViewer) return;
+  artworkViewer.controller.abort();
+  window.removeEventListener('resize', artworkViewer.onResize);
+  if (artworkViewer.objectUrl) {
+    URL.revokeObjectURL(artworkViewer.objectUrl);
+  }
+  artworkViewer = null;
+}
+
+/**
+ * Position of a pointer event relative to the viewport
+ * @param {Object} viewer - Viewer state
+ * @param {MouseEvent} e - Pointer, mouse or wheel event
+ * @returns {{x: number, y: number}} Point in viewport pixels
+ */
+function viewportPoint(viewer, e) {
+  const rect = viewer.viewport.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+/**
+ * Distance and midpoint of the two active pointers
+ * @param {Object} viewer - Viewer state
+ * @returns {{distance: number, x: number, y: number}} Pinch state
+ */
+function pinchState(viewer) {
+  const [a, b] = Array.from(viewer.pointers.values());
+  return { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Pans with one pointer and pinch-zooms with two
+ * @param {Object} viewer - Viewer state
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleViewerPointerMove(viewer, e) {
+  const previous = viewer.pointers.get(e.pointerId);
+  if (!previous) return;
+  const point = viewportPoint(viewer, e);
+  viewer.pointers.set(e.pointerId, point);
+
+  if (viewer.pinch) {
+    const pinch = pinchState(viewer);
+    viewer.x += pinch.x - viewer.pinch.x;
+    viewer.y += pinch.y - viewer.pinch.y;
+    zoomArtworkViewerAt(viewer, viewer.scale * pinch.distance / viewer.pinch.distance, pinch.x, pinch.y);
+    viewer.pinch = pinch;
+  } else if (viewer.pointers.size === 1) {
+    viewer.x += point.x - previous.x;
+    viewer.y += point.y - previous.y;
+    applyViewerTransform(viewer);
+  }
+}
+
+/**
+ * Scale at which the whole image fits the viewport
+ * @param {Object} viewer - Viewer state
+ * @returns {number} Scale
+ */
+function fitScale(viewer) {
+  const { naturalWidth, naturalHeight } = viewer.img;
+  if (!naturalWidth || !naturalHeight) return 1;
+  return Math.min(viewer.viewport.clientWidth / naturalWidth, viewer.viewport.clientHeight / naturalHeight);
+}
+
+/**
+ * Scale at which one image pixel is one screen pixel
+ * Until the full-size image has loaded the thumbnail stands in, so 1:1 means the full size.
+ * @param {Object} viewer - Viewer state
+ * @returns {number} Scale
+ */
+function actualPixelScale(viewer) {
+  return viewer.loaded ? 1 : Math.max(fitScale(viewer), 1);
+}
+
+/**
+ * Shows the whole image, centred
+ * @param {Object} viewer - Viewer state
+ */
+function fitArtworkViewer(viewer) {
+  viewer.scale = fitScale(viewer);
+  viewer.fitted = true;
+  applyViewerTransform(viewer);
+}
+
+/**
+ * Zooms keeping the image point under (x, y) in place
+ * @param {Object} viewer - Viewer state
+ * @param {number} scale - Requested scale, clamped between fit and VIEWER_MAX_ZOOM
+ * @param {number} x - Viewport x of the zoom centre
+ * @param {number} y - Viewport y of the zoom centre
+ */
+function zoomArtworkViewerAt(viewer, scale, x, y) {
+  const min = fitScale(viewer);
+  const max = Math.max(min, actualPixelScale(viewer) * VIEWER_MAX_ZOOM);
+  const next = Math.min(Math.max(scale, min), max);
+  const imageX = (x - viewer.x) / viewer.scale;
+  const imageY = (y - viewer.y) / viewer.scale;
+  viewer.scale = next;
+  viewer.x = x - imageX * next;
+  viewer.y = y - imageY * next;
+  viewer.fitted = next <= min;
+  applyViewerTransform(viewer);
+}
+
+/**
+ * Zooms the open viewer around its centre (keyboard shortcuts)
+ * @param {number|null} factor - Scale multiplier, or null to fit
+ */
+function zoomArtworkViewer(factor) {
+  const viewer = artworkViewer;
+  if (!viewer) return;
+  if (factor === null) {
+    fitArtworkViewer(viewer);
+  } else {
+    zoomArtworkViewerAt(viewer, viewer.scale * factor, viewer.viewport.clientWidth / 2, viewer.viewport.clientHeight / 2);
+  }
+}
+
+/**
+ * Keeps the image inside the viewport, positions it and updates the readout
+ * @param {Object} viewer - Viewer state
+ */
+function applyViewerTransform(viewer) {
+  const { img, viewport } = viewer;
+  const width = img.naturalWidth * viewer.scale;
+  const height = img.naturalHeight * viewer.scale;
+  const clamp = (offset, size, available) => size <= available
+    ? (available - size) / 2
+    : Math.min(0, Math.max(available - size, offset));
+  viewer.x = clamp(viewer.x, width, viewport.clientWidth);
+  viewer.y = clamp(viewer.y, height, viewport.clientHeight);
+
+  img.style.width = `${img.naturalWidth}px`;
+  img.style.height = `${img.naturalHeight}px`;
+  img.style.transform = `translate(${viewer.x}px, ${viewer.y}px) scale(${viewer.scale})`;
+  viewport.classList.toggle('zoomed', !viewer.fitted);
+
+  const readout = viewer.content.querySelector('.viewer-readout');
+  if (readout) {
+    const zoom = `${Math.round(viewer.scale / actualPixelScale(viewer) * 100)}%`;
+    readout.textContent = viewer.loaded ? `${img.naturalWidth}×${img.naturalHeight} px · ${zoom}` : zoom;
+  }
+}
+
+/**
+ * Enables previous/next for the modal's place among the visible results
+ * @param {Object} viewer - Viewer state
+ */
+function updateViewerNavigation(viewer) {
+  const modal = document.getElementById('artworkModal');
+  const cards = visibleResultCards();
+  const index = cards.findIndex(card => card.dataset.index === modal.dataset.index);
+  const prev = viewer.content.querySelector('.viewer-nav.prev');
+  const next = viewer.content.querySelector('.viewer-nav.next');
+  if (prev) prev.disabled = index <= 0;
+  if (next) next.disabled = index === -1 || index >= cards.length - 1;
+}
+
+/**
+ * Result cards the user can currently see, in display order
+ * Collapsed variants and filtered-out cards are skipped.
+ * @returns {Element[]} Cards
+ */
+function visibleResultCards() {
+  return Array.from(document.querySelectorAll('#results .result')).filter(card => card.offsetParent !== null);
+}
+
+/**
+ * Opens the modal on the previous or next visible result
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function stepArtworkModal(direction) {
+  const modal = document.getElementById('artworkModal');
+  const cards = visibleResultCards();
+  const index = cards.findIndex(card => card.dataset.index === modal.dataset.index);
+  const next = index === -1 ? null : cards[index + direction];
+  if (next) {
+    selectResultCard(next, true);
+    openArtworkModal(next);
+  }
+}
+
+/**
+ * Downloads an image, reporting progress as it arrives
+ * @param {string} url - Image URL
+ * @param {AbortSignal} signal - Cancels the download
+ * @param {Function} onProgress - (loadedBytes, totalBytes or 0 when unknown) => void
+ * @returns {Promise<Blob>} Image
+ */
+async function fetchWithProgress(url, signal, onProgress) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Image request failed with ${response.status}`);
+  }
+  const total = parseInt(response.headers.get('content-length'), 10) || 0;
+  if (!response.body) {
+    return response.blob();
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(loaded, total);
+  }
+  return new Blob(chunks, { type: response.headers.get('content-type') || 'image/jpeg' });
+}
+
+/**
+ * Loads the full-size image and swaps it in for the thumbnail, keeping the view
+ * The CDN is tried directly, then through the artwork proxy. If neither can be
+ * read, the image is handed to the browser to load without progress.
+ * @param {Object} viewer - Viewer state
+ * @param {string} url - Full-size image URL
+ */
+async function loadFullArtwork(viewer, url) {
+  const progress = viewer.content.querySelector('.viewer-progress');
+  const bar = progress.querySelector('.viewer-progress-bar');
+  const label = progress.querySelector('.viewer-progress-text');
+  const onProgress = (loaded, total) => {
+    bar.style.width = total ? `${Math.min(100, loaded / total * 100)}%` : '100%';
+    progress.classList.toggle('indeterminate', !total);
+    label.textContent = total ? `${formatBytes(loaded)} of ${formatBytes(total)}` : formatBytes(loaded);
+  };
+
+  let src = url;
+  try {
+    let blob;
+    try {
+      blob = await fetchWithProgress(url, viewer.controller.signal, onProgress);
+    } catch (e) {
+      const proxied = artworkDownloadUrl(url);
+      if (e.name === 'AbortError' || proxied === url) throw e;
+      blob = await fetchWithProgress(proxied, viewer.controller.signal, onProgress);
+    }
+    viewer.objectUrl = URL.createObjectURL(blob);
+    src = viewer.objectUrl;
+  } catch (e) {
+    if (e.name === 'AbortError') return;
+    console.warn('Could not stream full-size artwork, loading it directly:', e);
+    progress.classList.add('indeterminate');
+    label.textContent = 'Loading full size...';
+  }
+
+  const full = new Image();
+  full.className = 'modal-artwork';
+  full.alt = viewer.img.alt;
+  full.draggable = false;
+  full.src = src;
+  try {
+    await full.decode();
+  } catch (e) {
+    if (artworkViewer === viewer) {
+      label.textContent = 'Full size unavailable';
+      progress.classList.remove('indeterminate');
+    }
+    return;
+  }
+  if (artworkViewer !== viewer) return;
+
+  // Keep the same view: the full image is larger, so the scale shrinks by the same factor
+  const ratio = viewer.img.naturalWidth ? full.naturalWidth / viewer.img.naturalWidth : 1;
+  viewer.img.replaceWith(full);
+  viewer.img = full;
+  viewer.loaded = true;
+  if (viewer.fitted) {
+    fitArtworkViewer(viewer);
+  } else {
+    viewer.scale /= ratio;
+    applyViewerTransform(viewer);
+  }
+  progress.hidden = true;
+}